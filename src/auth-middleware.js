@@ -0,0 +1,172 @@
+import crypto from 'crypto';
+import { createClient } from '@supabase/supabase-js';
+import { CONFIG } from './config.js';
+import { findSession, touchSession, hashSessionToken } from './user-sessions.js';
+
+// Who a request's `Authorization: Bearer <token>` belongs to. The token is either the
+// Supabase access token (session.access_token from signin/signup) or the loginToken
+// they return, which identifies a row in user_sessions (src/user-sessions.js).
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+// Only the service key: with the public anon key these lookups would trust rows anyone can write.
+// Without it, routes that require login fail instead of running with weaker checks.
+const supabase = supabaseServiceKey ? createClient(supabaseUrl, supabaseServiceKey) : null;
+if (!supabase) console.warn('⚠️  SUPABASE_SERVICE_ROLE_KEY not set. Routes that require login will fail.');
+
+// sha256(token) -> { user, expires }, so each token is only checked once per CONFIG.auth.cacheMs.
+// The key is the same hash user_sessions stores, so revoked sessions can be dropped from it.
+const verified = new Map();
+const MAX_CACHED_TOKENS = 5000;
+
+export function bearerToken(req) {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  return scheme && scheme.toLowerCase() === 'bearer' && token ? token : null;
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+// Claims of an HS256 access token signed with SUPABASE_JWT_SECRET; null when the signature
+// or expiry is wrong, undefined when it can't be checked locally (no secret, other algorithm)
+function verifyJwtLocally(token) {
+  if (!CONFIG.auth.jwtSecret) return undefined;
+
+  const [header, payload, signature] = token.split('.');
+  let claims;
+  try {
+    if (decodeSegment(header).alg !== 'HS256') return undefined;
+    claims = decodeSegment(payload);
+  } catch {
+    return null;
+  }
+
+  const expected = crypto.createHmac('sha256', CONFIG.auth.jwtSecret).update(`${header}.${payload}`).digest();
+  const actual = Buffer.from(signature || '', 'base64url');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) return null;
+  if (!claims.exp || claims.exp * 1000 <= Date.now()) return null;
+  return claims;
+}
+
+async function userFromJwt(token) {
+  let claims = verifyJwtLocally(token);
+  if (claims === undefined) {
+    // Asks Supabase Auth, which also rejects tokens of signed-out sessions
+    const { data, error } = await supabase.auth.getUser(token);
+    if (error || !data?.user) return null;
+    claims = { sub: data.user.id, email: data.user.email, role: data.user.role || 'authenticated', exp: null, iat: decodeSegment(token.split('.')[1]).iat };
+  }
+  // The anon and service keys are JWTs too; only user sessions count
+  if (!claims || claims.role !== 'authenticated' || !claims.email) return null;
+
+  const { data: profile, error } = await supabase
+    .from('users')
+    .select('id, username, tokens_revoked_at')
+    .eq('email', claims.email.toLowerCase())
+    .maybeSingle();
+
+  if (error) throw error;
+  // Signed out everywhere (DELETE /api/auth/sessions) after this token was issued. Locally
+  // verified tokens only carry a signature and an expiry, so this is what ends them early.
+  if (profile?.tokens_revoked_at && (!claims.iat || claims.iat * 1000 <= Date.parse(profile.tokens_revoked_at))) return null;
+  return { id: profile?.id || null, email: claims.email.toLowerCase(), username: profile?.username || null, sessionId: null, expiresAt: claims.exp };
+}
+
+async function userFromSessionToken(token) {
+  const session = await findSession(supabase, token);
+  if (!session) return null;
+
+  // last_seen_at is only as fresh as the cache allows
+  touchSession(supabase, session.id).catch(error => console.error('Error updating session:', error));
+
+  const { data: profile, error } = await supabase
+    .from('users')
+    .select('id, username')
+    .eq('email', session.user_email)
+    .maybeSingle();
+
+  if (error) throw error;
+  return {
+    id: profile?.id || null,
+    email: session.user_email,
+    username: profile?.username || null,
+    sessionId: session.id,
+    expiresAt: Math.floor(Date.parse(session.expires_at) / 1000)
+  };
+}
+
+// The authenticated user ({ id, email, username, sessionId }) or null. id is the users row's
+// id and sessionId is set for loginTokens only. Throws only when the lookup itself fails.
+export async function authenticate(req) {
+  const token = bearerToken(req);
+  if (!token) return null;
+  if (!supabase) throw new Error('SUPABASE_SERVICE_ROLE_KEY is required to verify logins');
+
+  const key = hashSessionToken(token);
+  const hit = verified.get(key);
+  if (hit && hit.expires > Date.now()) return hit.user;
+
+  const found = token.split('.').length === 3 ? await userFromJwt(token) : await userFromSessionToken(token);
+  const user = found && { id: found.id, email: found.email, username: found.username, sessionId: found.sessionId };
+
+  if (verified.size >= MAX_CACHED_TOKENS) verified.clear();
+  const expires = Math.min(Date.now() + CONFIG.auth.cacheMs, found?.expiresAt ? found.expiresAt * 1000 : Infinity);
+  verified.set(key, { user, expires });
+  return user;
+}
+
+// Stops accepting tokens of revoked sessions right away on this instance (others catch up
+// within CONFIG.auth.cacheMs). Takes the token hashes revokeSessions() returns.
+export function forgetTokens(tokenHashes) {
+  tokenHashes.forEach(hash => verified.delete(hash));
+}
+
+// Same, for every cached token of an account (signing out everywhere)
+export function forgetUser(email) {
+  verified.forEach((entry, hash) => {
+    if (entry.user?.email === email) verified.delete(hash);
+  });
+}
+
+// Requires a valid token and sets req.user
+export async function verifyToken(req, res, next) {
+  if (!bearerToken(req)) {
+    return res.status(401).json({ error: 'Unauthorized - Please login first' });
+  }
+
+  try {
+    req.user = await authenticate(req);
+  } catch (error) {
+    console.error('Error verifying token:', error);
+    return res.status(500).json({ error: 'Failed to verify login' });
+  }
+
+  if (!req.user) {
+    return res.status(401).json({ error: 'Unauthorized - Invalid or expired token' });
+  }
+  next();
+}
+
+// Sets req.user when a token is sent; requests without one continue anonymously
+export async function optionalToken(req, res, next) {
+  if (!bearerToken(req)) {
+    req.user = null;
+    return next();
+  }
+  return verifyToken(req, res, next);
+}
+
+// True when the email (from a URL, query or body) is the authenticated user's own
+export function isSameUser(req, email) {
+  return Boolean(req.user && email && String(email).toLowerCase() === req.user.email);
+}
+
+// Sends 403 and returns false when an email given by the client isn't the token's account.
+// A missing email is fine: routes fall back to req.user.email.
+export function checkSameUser(req, res, email) {
+  if (email === undefined || email === null || email === '' || isSameUser(req, email)) return true;
+  res.status(403).json({ error: 'Forbidden - You can only access your own account' });
+  return false;
+}
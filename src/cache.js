@@ -0,0 +1,167 @@
+import axios from 'axios';
+import { CONFIG } from './config.js';
+
+// TTL per resource, in milliseconds
+export const CACHE_TTLS = {
+  catalog: 60 * 1000,
+  library: 60 * 1000,
+  series: 5 * 60 * 1000,
+  movie: 5 * 60 * 1000,
+  latest: 15 * 1000,
+  sitemap: 60 * 60 * 1000,
+  trending: 5 * 60 * 1000
+};
+
+// Default store: in-memory LRU with per-entry expiry. Any object with the same
+// methods (sync or async) can replace it via setCacheStore(), e.g. a Redis adapter.
+export class MemoryLRUStore {
+  constructor(maxEntries = 500) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    // Re-insert so Map order tracks recency
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  set(key, value, ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  deletePrefix(prefix) {
+    for (const key of this.entries.keys()) {
+      if (key.startsWith(prefix)) this.entries.delete(key);
+    }
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+let store = new MemoryLRUStore(CONFIG.cache.maxEntries);
+const inFlight = new Map();
+// Bumped on every invalidation so a load that started earlier doesn't re-cache stale data
+let generation = 0;
+
+export function setCacheStore(customStore) {
+  store = customStore;
+  inFlight.clear();
+}
+
+export function getCacheStore() {
+  return store;
+}
+
+// Returns the cached value for key, or runs loader once (concurrent callers share it)
+export async function cached(key, ttlMs, loader) {
+  if (!CONFIG.cache.enabled) return loader();
+
+  const hit = await store.get(key);
+  if (hit !== undefined) return hit;
+
+  if (inFlight.has(key)) return inFlight.get(key);
+
+  const startedAt = generation;
+  const pending = (async () => {
+    try {
+      const value = await loader();
+      if (startedAt === generation) await store.set(key, value, ttlMs);
+      return value;
+    } finally {
+      if (inFlight.get(key) === pending) inFlight.delete(key);
+    }
+  })();
+
+  inFlight.set(key, pending);
+  return pending;
+}
+
+// Cache keys. Everything about a series shares the series:<slug>: prefix so one
+// prefix delete drops the detail, seasons, episodes and navigation together.
+// Listings derived from the whole catalog share the library: prefix.
+export const cacheKeys = {
+  catalog: () => 'catalog',
+  library: options => `library:${JSON.stringify(options)}`,
+  collections: () => 'library:collections',
+  series: slug => `series:${slug}:detail`,
+  season: (slug, season) => `series:${slug}:season:${season}`,
+  episode: (slug, season, episode) => `series:${slug}:episode:${season}-${episode}`,
+  episodeList: slug => `series:${slug}:episodes`,
+  seriesFeed: slug => `series:${slug}:feed`,
+  movie: slug => `movie:${slug}`,
+  latest: () => 'latest',
+  sitemap: name => `library:sitemap:${name}`,
+  releases: (slug, fromDay, toDay) => `library:releases:${slug || '*'}:${fromDay}:${toDay}`,
+  trending: (window, limit) => `trending:${window}:${limit}`
+};
+
+function bumpGeneration() {
+  generation++;
+  inFlight.clear();
+}
+
+async function dropListings() {
+  bumpGeneration();
+  await store.delete(cacheKeys.catalog());
+  await store.deletePrefix('library:');
+  await store.delete(cacheKeys.latest());
+}
+
+function notifyRemote(scope, slug) {
+  const { invalidateUrl, invalidateToken } = CONFIG.cache;
+  if (!invalidateUrl) return;
+
+  axios
+    .post(invalidateUrl, { scope, slug }, { headers: { 'x-cache-token': invalidateToken }, timeout: 5000 })
+    .catch(error => console.warn(`⚠️  Cache invalidation request failed: ${error.message}`));
+}
+
+export async function invalidateSeries(slug, { remote = true } = {}) {
+  await dropListings();
+  await store.deletePrefix(`series:${slug}:`);
+  if (remote) notifyRemote('series', slug);
+}
+
+export async function invalidateMovie(slug, { remote = true } = {}) {
+  await dropListings();
+  await store.delete(cacheKeys.movie(slug));
+  if (remote) notifyRemote('movie', slug);
+}
+
+// Drops individual keys locally, e.g. after a comment changes one episode
+export async function invalidateKeys(...keys) {
+  bumpGeneration();
+  for (const key of keys) {
+    await store.delete(key);
+  }
+}
+
+export async function invalidateLatest({ remote = true } = {}) {
+  bumpGeneration();
+  await store.delete(cacheKeys.latest());
+  if (remote) notifyRemote('latest');
+}
+
+export async function clearCache({ remote = true } = {}) {
+  bumpGeneration();
+  await store.clear();
+  if (remote) notifyRemote('all');
+}
@@ -0,0 +1,354 @@
+import { hasGenre } from './genres.js';
+import { cached, cacheKeys, CACHE_TTLS } from './cache.js';
+
+// Card shape shared by the listing endpoints (library, search, ...)
+// Release year as cards show it, and as the year sort and filters read it
+function releaseYear(row) {
+  return row.year || row.release_year || null;
+}
+
+// Status as cards show it, and as ?status= matches it
+function cardStatus(row, type) {
+  return type === 'movie' ? 'Movie' : row.status || 'Available';
+}
+
+export function toSeriesCard(s) {
+  return {
+    type: 'series',
+    slug: s.slug,
+    title: s.title,
+    poster: s.poster,
+    genres: s.genres || [],
+    synopsis: s.description || '',
+    status: cardStatus(s, 'series'),
+    release_year: releaseYear(s),
+    totalEpisodes: null,
+    rating: s.rating || null
+  };
+}
+
+export function toMovieCard(m) {
+  return {
+    type: 'movie',
+    slug: m.slug,
+    title: m.title,
+    poster: m.poster,
+    genres: m.genres || [],
+    synopsis: m.description || '',
+    status: cardStatus(m, 'movie'),
+    release_year: releaseYear(m),
+    totalEpisodes: 1,
+    rating: m.rating || null
+  };
+}
+
+export function toCard(row, type) {
+  return type === 'movie' ? toMovieCard(row) : toSeriesCard(row);
+}
+
+// PostgREST returns at most max-rows (1000 by default) per request
+const CATALOG_BATCH_SIZE = 1000;
+
+// Every row of a table ordered by title, read in ranges until one comes back empty
+async function loadAllRows(supabase, table) {
+  const rows = [];
+  for (;;) {
+    const { data, error } = await supabase
+      .from(table)
+      .select('*')
+      .order('title')
+      .order('slug')
+      .range(rows.length, rows.length + CATALOG_BATCH_SIZE - 1);
+
+    if (error) throw error;
+    if (!data || data.length === 0) return rows;
+    rows.push(...data);
+  }
+}
+
+// All series and movie rows ordered by title; shared by library, search and genres
+export async function loadCatalogRows(supabase) {
+  return cached(cacheKeys.catalog(), CACHE_TTLS.catalog, async () => {
+    const [series, movies] = await Promise.all([
+      loadAllRows(supabase, 'series'),
+      loadAllRows(supabase, 'movies')
+    ]);
+    return { series, movies };
+  });
+}
+
+// Newest latest_episodes rows; shared by /latest-episodes and the feeds
+export async function loadLatestEpisodes(supabase) {
+  return cached(cacheKeys.latest(), CACHE_TTLS.latest, async () => {
+    const { data, error } = await supabase
+      .from('latest_episodes')
+      .select('*')
+      .order('added_at', { ascending: false })
+      .limit(20);
+
+    if (error) throw error;
+    return data || [];
+  });
+}
+
+// PGRST116 = .single() found no rows
+function isQueryError(error) {
+  return Boolean(error) && error.code !== 'PGRST116';
+}
+
+// Series row plus all its episodes ({ series: null } when missing)
+export async function loadSeriesDetail(supabase, slug) {
+  return cached(cacheKeys.series(slug), CACHE_TTLS.series, async () => {
+    const { data: series, error: seriesError } = await supabase
+      .from('series')
+      .select('*')
+      .eq('slug', slug)
+      .single();
+
+    if (isQueryError(seriesError)) throw seriesError;
+    if (!series) return { series: null, episodes: [] };
+
+    const { data: episodes, error: episodesError } = await supabase
+      .from('episodes')
+      .select('*')
+      .eq('series_slug', slug)
+      .order('season')
+      .order('episode');
+
+    if (episodesError) throw episodesError;
+    return { series, episodes: episodes || [] };
+  });
+}
+
+export async function loadMovie(supabase, slug) {
+  return cached(cacheKeys.movie(slug), CACHE_TTLS.movie, async () => {
+    const { data: movie, error } = await supabase
+      .from('movies')
+      .select('*')
+      .eq('slug', slug)
+      .single();
+
+    if (isQueryError(error)) throw error;
+    return movie || null;
+  });
+}
+
+// One episode row (null when missing); shared by the episode route and /meta
+export async function loadEpisode(supabase, slug, season, episode) {
+  return cached(cacheKeys.episode(slug, season, episode), CACHE_TTLS.series, async () => {
+    const { data, error } = await supabase
+      .from('episodes')
+      .select('*')
+      .eq('series_slug', slug)
+      .eq('season', season)
+      .eq('episode', episode)
+      .single();
+
+    if (isQueryError(error)) throw error;
+    return data || null;
+  });
+}
+
+export const DEFAULT_PAGE_SIZE = 24;
+const MAX_PAGE_SIZE = 100;
+
+// Sort keys map to a row accessor; the default direction is the natural one for each
+const LIBRARY_SORTS = {
+  title: { value: row => row.title || '', order: 'asc' },
+  year: { value: releaseYear, order: 'desc' },
+  rating: { value: row => row.rating ?? null, order: 'desc' },
+  popularity: { value: row => row.popularity ?? null, order: 'desc' },
+  updated: { value: row => row.updated_at || row.created_at || null, order: 'desc' }
+};
+
+const LIBRARY_QUERY_KEYS = [
+  'limit', 'cursor', 'offset', 'sort', 'order', 'type',
+  'genre', 'yearFrom', 'yearTo', 'status', 'language', 'minRating'
+];
+
+export function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({ o: offset })).toString('base64url');
+}
+
+export function decodeCursor(cursor) {
+  try {
+    const { o } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return Number.isInteger(o) && o >= 0 ? o : null;
+  } catch {
+    return null;
+  }
+}
+
+// Old clients call /library with no parameters and expect the plain array back
+export function isPagedLibraryRequest(query) {
+  return LIBRARY_QUERY_KEYS.some(key => query[key] !== undefined);
+}
+
+function parseNumber(value) {
+  if (value === undefined || value === '') return null;
+  const num = Number(value);
+  return Number.isFinite(num) ? num : NaN;
+}
+
+export function parseLibraryQuery(query) {
+  const sort = query.sort || 'title';
+  if (!LIBRARY_SORTS[sort]) {
+    return { error: `Invalid sort. Use one of: ${Object.keys(LIBRARY_SORTS).join(', ')}` };
+  }
+
+  const order = query.order || LIBRARY_SORTS[sort].order;
+  if (order !== 'asc' && order !== 'desc') {
+    return { error: 'Invalid order. Use asc or desc' };
+  }
+
+  const type = query.type || null;
+  if (type && type !== 'series' && type !== 'movie') {
+    return { error: 'Invalid type. Use series or movie' };
+  }
+
+  const yearFrom = parseNumber(query.yearFrom);
+  const yearTo = parseNumber(query.yearTo);
+  const minRating = parseNumber(query.minRating);
+  if ([yearFrom, yearTo, minRating].some(Number.isNaN)) {
+    return { error: 'yearFrom, yearTo and minRating must be numbers' };
+  }
+
+  let offset = 0;
+  if (query.cursor !== undefined) {
+    offset = decodeCursor(query.cursor);
+    if (offset === null) return { error: 'Invalid cursor' };
+  } else if (query.offset !== undefined) {
+    offset = Math.max(parseInt(query.offset) || 0, 0);
+  }
+
+  const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  return {
+    options: {
+      type,
+      genre: query.genre ? String(query.genre).trim() : null,
+      status: query.status ? String(query.status).trim() : null,
+      language: query.language ? String(query.language).trim() : null,
+      yearFrom,
+      yearTo,
+      minRating,
+      sort,
+      order,
+      offset,
+      limit
+    }
+  };
+}
+
+function includesIgnoreCase(values, wanted) {
+  const target = wanted.toLowerCase();
+  return (values || []).some(v => String(v).toLowerCase() === target);
+}
+
+// Rows without the column never match a range filter, as in SQL
+function atLeast(value, min) {
+  return min === null || (value !== null && value !== undefined && value >= min);
+}
+
+function atMost(value, max) {
+  return max === null || (value !== null && value !== undefined && value <= max);
+}
+
+function matchesLibraryFilters(row, type, options) {
+  return atLeast(releaseYear(row), options.yearFrom) &&
+    atMost(releaseYear(row), options.yearTo) &&
+    atLeast(row.rating, options.minRating) &&
+    (!options.status || cardStatus(row, type).toLowerCase() === options.status.toLowerCase()) &&
+    (!options.genre || hasGenre(row.genres, options.genre)) &&
+    (!options.language || includesIgnoreCase(row.languages, options.language));
+}
+
+function compareRows(sortKey, order) {
+  const { value } = LIBRARY_SORTS[sortKey];
+  const direction = order === 'asc' ? 1 : -1;
+
+  return (a, b) => {
+    const va = value(a.row);
+    const vb = value(b.row);
+
+    // Rows missing the sort value always go last, whatever the direction
+    if (va === null && vb !== null) return 1;
+    if (vb === null && va !== null) return -1;
+
+    let diff = 0;
+    if (va !== null && vb !== null) {
+      diff = typeof va === 'string' ? va.localeCompare(vb) : va - vb;
+    }
+
+    return diff * direction ||
+      (a.row.title || '').localeCompare(b.row.title || '') ||
+      a.row.slug.localeCompare(b.row.slug);
+  };
+}
+
+// Filters, sorts and pages the cached catalog, so each page doesn't read the tables again
+export async function queryLibrary(supabase, options) {
+  const { series, movies } = await loadCatalogRows(supabase);
+
+  const entries = [
+    ...(options.type === 'movie' ? [] : series.map(row => ({ row, type: 'series' }))),
+    ...(options.type === 'series' ? [] : movies.map(row => ({ row, type: 'movie' })))
+  ].filter(({ row, type }) => matchesLibraryFilters(row, type, options));
+
+  entries.sort(compareRows(options.sort, options.order));
+
+  const total = entries.length;
+  const end = options.offset + options.limit;
+
+  return {
+    items: entries.slice(options.offset, end).map(({ row, type }) => toCard(row, type)),
+    total,
+    nextCursor: end < total ? encodeCursor(end) : null
+  };
+}
+
+// Most recently added movies (by created_at), as cards with addedAt
+export function latestMovies(movies, limit) {
+  return [...movies]
+    .filter(m => m.created_at)
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+    .slice(0, limit)
+    .map(m => ({ ...toMovieCard(m), addedAt: m.created_at }));
+}
+
+export async function loadCollections(supabase) {
+  return cached(cacheKeys.collections(), CACHE_TTLS.catalog, async () => {
+    const { data, error } = await supabase
+      .from('collections')
+      .select('*')
+      .order('name');
+
+    if (error) throw error;
+    return data || [];
+  });
+}
+
+// Attaches each collection's movies and series (release order); empty collections are dropped
+export function buildCollections(collections, { series = [], movies = [] }) {
+  return collections
+    .map(collection => {
+      const items = [
+        ...movies.filter(m => m.collection_id == collection.id).map(row => ({ row, type: 'movie' })),
+        ...series.filter(s => s.collection_id == collection.id).map(row => ({ row, type: 'series' }))
+      ]
+        .sort(compareRows('year', 'asc'))
+        .map(({ row, type }) => toCard(row, type));
+
+      return {
+        id: collection.id,
+        slug: collection.slug,
+        name: collection.name,
+        description: collection.description || '',
+        poster: collection.poster || items[0]?.poster || null,
+        banner_image: collection.banner_image || null,
+        count: items.length,
+        items
+      };
+    })
+    .filter(collection => collection.count > 0);
+}
@@ -0,0 +1,238 @@
+import { CONFIG } from './config.js';
+
+// Comment statuses. Lists only show `visible` comments, plus the reader's own `pending`
+// and `shadow` ones, so a shadow-banned account doesn't notice it is banned.
+export const COMMENT_STATUSES = ['visible', 'pending', 'hidden', 'shadow'];
+
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(?:com|net|org|io|xyz|ru|cc|me|gg|ly|to|tv|in)\b/gi;
+
+// Recent posts per account for rate limiting and duplicate detection: key -> [{ at, text }]
+const recentPosts = new Map();
+
+function normalizeText(content) {
+  return String(content || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function recentFor(key, now) {
+  const posts = (recentPosts.get(key) || []).filter(post => now - post.at < CONFIG.moderation.rateWindow);
+  if (posts.length > 0) recentPosts.set(key, posts);
+  else recentPosts.delete(key);
+  return posts;
+}
+
+// Seconds until the account may post again, or 0
+export function commentRetryAfter(key, now = Date.now()) {
+  const posts = recentFor(key, now);
+  if (posts.length < CONFIG.moderation.rateLimit) return 0;
+  return Math.ceil((posts[0].at + CONFIG.moderation.rateWindow - now) / 1000);
+}
+
+export function recordCommentPost(key, content, now = Date.now()) {
+  const posts = recentFor(key, now);
+  posts.push({ at: now, text: normalizeText(content) });
+  recentPosts.set(key, posts);
+}
+
+// Reasons to hold a new comment for review: profanity, links, spam or duplicate
+export function filterComment(content, key, now = Date.now()) {
+  const text = normalizeText(content);
+  const flags = [];
+
+  const words = new Set(text.split(/[^\p{L}\p{N}]+/u).filter(Boolean));
+  if (CONFIG.moderation.blockedWords.some(word => (word.includes(' ') ? text.includes(word) : words.has(word)))) {
+    flags.push('profanity');
+  }
+
+  if ((String(content).match(URL_PATTERN) || []).length > CONFIG.moderation.maxLinks) {
+    flags.push('links');
+  }
+
+  const letters = String(content).replace(/[^\p{L}]/gu, '');
+  const upper = letters.replace(/[^\p{Lu}]/gu, '');
+  if (/(.)\1{9,}/u.test(text) || (letters.length >= 20 && upper.length / letters.length > 0.8)) {
+    flags.push('spam');
+  }
+
+  if (text && recentFor(key, now).some(post => post.text === text)) {
+    flags.push('duplicate');
+  }
+
+  return flags;
+}
+
+// Bans are keyed by the lowercased email, the same form as req.user.email and comments.user_email
+function banKey(email) {
+  return String(email).trim().toLowerCase();
+}
+
+export async function getCommentBan(supabase, email) {
+  if (!email) return null;
+  const { data, error } = await supabase
+    .from('comment_bans')
+    .select('*')
+    .eq('user_email', banKey(email))
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || null;
+}
+
+// Status for a new comment: shadow for banned accounts, pending when the filter flags it.
+// Callers check commentRetryAfter() first and recordCommentPost() once it is stored.
+export async function screenComment(supabase, { email, key, content }) {
+  const flags = filterComment(content, key);
+  if (await getCommentBan(supabase, email)) return { status: 'shadow', flags };
+  return { status: flags.length > 0 ? 'pending' : 'visible', flags };
+}
+
+// Extra response fields for a newly posted comment. Shadow-banned posts get the same
+// response as visible ones.
+export function moderationNotice(status) {
+  return status === 'pending' ? { status: 'pending', message: 'Your comment is awaiting moderation' } : {};
+}
+
+// A comment as users see it: moderation internals stripped, and shadow shown as visible
+// (only its author is ever served a shadow comment)
+export function publicComment(comment) {
+  const { moderation_flags, moderation_reason, ...rest } = comment;
+  return rest.status === 'shadow' ? { ...rest, status: 'visible' } : rest;
+}
+
+// Records a report (one per account per comment) and hides the comment once it has
+// CONFIG.moderation.reportThreshold reports. Returns the updated comment.
+export async function reportComment(supabase, comment, email, reason) {
+  const { error: reportError } = await supabase
+    .from('comment_reports')
+    .upsert(
+      { comment_id: comment.id, reporter_email: email, reason: reason || null, created_at: new Date().toISOString() },
+      { onConflict: 'comment_id,reporter_email', ignoreDuplicates: true }
+    );
+
+  if (reportError) throw reportError;
+
+  const { count, error: countError } = await supabase
+    .from('comment_reports')
+    .select('comment_id', { count: 'exact', head: true })
+    .eq('comment_id', comment.id);
+
+  if (countError) throw countError;
+
+  const update = { report_count: count || 0 };
+  if (comment.status === 'visible' && update.report_count >= CONFIG.moderation.reportThreshold) {
+    update.status = 'hidden';
+    update.moderation_reason = 'reports';
+  }
+
+  const { data, error } = await supabase
+    .from('comments')
+    .update(update)
+    .eq('id', comment.id)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+// Pending and hidden comments, most reported first, each with its reports
+export async function loadModerationQueue(supabase, { statuses = ['pending', 'hidden'], limit = 50, offset = 0 } = {}) {
+  const { data, error, count } = await supabase
+    .from('comments')
+    .select('*', { count: 'exact' })
+    .in('status', statuses)
+    .order('report_count', { ascending: false })
+    .order('created_at', { ascending: true })
+    .range(offset, offset + limit - 1);
+
+  if (error) throw error;
+  const comments = data || [];
+  if (comments.length === 0) return { items: [], total: count || 0 };
+
+  const { data: reports, error: reportsError } = await supabase
+    .from('comment_reports')
+    .select('*')
+    .in('comment_id', comments.map(comment => comment.id))
+    .order('created_at', { ascending: true });
+
+  if (reportsError) throw reportsError;
+
+  const byComment = new Map();
+  (reports || []).forEach(report => {
+    const key = String(report.comment_id);
+    if (!byComment.has(key)) byComment.set(key, []);
+    byComment.get(key).push(report);
+  });
+
+  return {
+    items: comments.map(comment => ({ ...comment, reports: byComment.get(String(comment.id)) || [] })),
+    total: count || 0
+  };
+}
+
+// Makes a comment visible again and clears its reports, so it needs fresh reports to be hidden
+export async function approveComment(supabase, id) {
+  const { error: reportsError } = await supabase
+    .from('comment_reports')
+    .delete()
+    .eq('comment_id', id);
+
+  if (reportsError) throw reportsError;
+
+  const { data, error } = await supabase
+    .from('comments')
+    .update({ status: 'visible', report_count: 0, moderation_reason: null, reviewed_at: new Date().toISOString() })
+    .eq('id', id)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  return data || null;
+}
+
+// Shadow ban: the account can still post, but only it sees its comments.
+// hideExisting also turns its visible comments into shadow ones. Returns the comments it hid.
+export async function banCommenter(supabase, email, { reason = null, hideExisting = false } = {}) {
+  email = banKey(email);
+  const { error } = await supabase
+    .from('comment_bans')
+    .upsert({ user_email: email, reason, created_at: new Date().toISOString() }, { onConflict: 'user_email' });
+
+  if (error) throw error;
+  if (!hideExisting) return [];
+
+  const { data, error: hideError } = await supabase
+    .from('comments')
+    .update({ status: 'shadow', moderation_reason: 'ban' })
+    .eq('user_email', email)
+    .eq('status', 'visible')
+    .select();
+
+  if (hideError) throw hideError;
+  return data || [];
+}
+
+// Lifts a ban and restores the comments it hid. Returns the restored comments.
+export async function unbanCommenter(supabase, email) {
+  email = banKey(email);
+  const { error } = await supabase
+    .from('comment_bans')
+    .delete()
+    .eq('user_email', email);
+
+  if (error) throw error;
+
+  const { data, error: restoreError } = await supabase
+    .from('comments')
+    .update({ status: 'visible', moderation_reason: null })
+    .eq('user_email', email)
+    .eq('status', 'shadow')
+    .select();
+
+  if (restoreError) throw restoreError;
+  return data || [];
+}
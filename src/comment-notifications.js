@@ -0,0 +1,137 @@
+// @username mentions in comments, and the in-app notifications they and replies create.
+
+const MENTION_PATTERN = /(^|[^\w@.])@([a-z0-9_][a-z0-9_.]{1,29})/gi;
+const EXCERPT_LENGTH = 140;
+
+// Lowercased usernames mentioned in the text, in order, without duplicates
+export function extractMentions(content) {
+  const names = [];
+  for (const match of String(content || '').matchAll(MENTION_PATTERN)) {
+    // A trailing dot ends the sentence, not the username
+    const name = match[2].replace(/\.+$/, '').toLowerCase();
+    if (name && !names.includes(name)) names.push(name);
+  }
+  return names;
+}
+
+// Mentioned usernames that belong to an account, as [{ email, username }].
+// Mentions are best-effort: a failed lookup leaves the comment without them.
+export async function resolveMentions(supabase, content) {
+  const names = extractMentions(content);
+  if (names.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from('users')
+    .select('email, username')
+    .in('username', names);
+
+  if (error) {
+    console.error('Error resolving mentions:', error);
+    return [];
+  }
+  return (data || []).filter(user => user.email && user.username);
+}
+
+// Email of a comment's author. Comments from the per-title routes only have a username.
+async function authorEmail(supabase, comment) {
+  if (comment.user_email) return comment.user_email;
+  if (!comment.username) return null;
+
+  const { data, error } = await supabase
+    .from('users')
+    .select('email')
+    .eq('username', String(comment.username).toLowerCase())
+    .maybeSingle();
+
+  if (error) throw error;
+  return data?.email || null;
+}
+
+function excerpt(content) {
+  const text = String(content || '').replace(/\s+/g, ' ').trim();
+  return text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH - 1)}…` : text;
+}
+
+// Notifies the parent's author of a reply and every mentioned account, once each and
+// never the comment's own author. `mentioned` is what resolveMentions() returned;
+// on edits pass only the newly added mentions and no parent. Errors are logged rather
+// than thrown so a notification problem never fails the comment itself.
+export async function notifyCommentRecipients(supabase, comment, options = {}) {
+  try {
+    await createNotifications(supabase, comment, options);
+  } catch (error) {
+    console.error('Error creating notifications:', error);
+  }
+}
+
+async function createNotifications(supabase, comment, { parent = null, mentioned = [] }) {
+  if (comment.status !== 'visible') return;
+
+  const selfEmail = await authorEmail(supabase, comment);
+  const isSelf = email => email === selfEmail;
+  const recipients = new Map();
+
+  if (parent) {
+    const parentEmail = await authorEmail(supabase, parent);
+    if (parentEmail && !isSelf(parentEmail)) recipients.set(parentEmail, 'reply');
+  }
+  mentioned.forEach(user => {
+    if (!isSelf(user.email) && !recipients.has(user.email)) recipients.set(user.email, 'mention');
+  });
+  if (recipients.size === 0) return;
+
+  const rows = [...recipients].map(([email, type]) => ({
+    user_email: email,
+    type,
+    comment_id: comment.id,
+    location: comment.location,
+    actor_username: comment.username || null,
+    excerpt: excerpt(comment.content),
+    created_at: new Date().toISOString()
+  }));
+
+  const { error } = await supabase.from('notifications').insert(rows);
+  if (error) throw error;
+}
+
+export async function loadNotifications(supabase, email, { unreadOnly = false, limit = 20, before = null } = {}) {
+  let query = supabase
+    .from('notifications')
+    .select('*')
+    .eq('user_email', email);
+
+  if (unreadOnly) query = query.is('read_at', null);
+  if (before) query = query.lt('id', before);
+
+  const { data, error } = await query
+    .order('id', { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+  return data || [];
+}
+
+export async function countUnreadNotifications(supabase, email) {
+  const { count, error } = await supabase
+    .from('notifications')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_email', email)
+    .is('read_at', null);
+
+  if (error) throw error;
+  return count || 0;
+}
+
+// Marks the given notifications read, or all of them when ids is null
+export async function markNotificationsRead(supabase, email, ids = null) {
+  let query = supabase
+    .from('notifications')
+    .update({ read_at: new Date().toISOString() })
+    .eq('user_email', email)
+    .is('read_at', null);
+
+  if (ids) query = query.in('id', ids);
+
+  const { error } = await query;
+  if (error) throw error;
+}
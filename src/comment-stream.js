@@ -0,0 +1,110 @@
+import crypto from 'crypto';
+import { CONFIG } from './config.js';
+import { publicComment } from './comment-moderation.js';
+import { readerProgressAt, spoilerHints } from './spoilers.js';
+
+// Live comment events per location, pushed to /api/comments/:location/stream over
+// Server-Sent Events. Events live in memory, so each API instance only streams the
+// comments posted through it.
+
+// Event ids are `<boot>-<seq>`: an id from before a restart can't be resumed from
+const BOOT_ID = crypto.randomBytes(4).toString('hex');
+let sequence = 0;
+
+// location -> { events: [{ id, seq, type, data, at }], dropped, listeners: Set }, only while
+// the location has listeners. `dropped` is the seq of the newest event not buffered (anything
+// before the channel opened counts); resuming from before it isn't possible.
+const channels = new Map();
+
+function openChannel(location) {
+  if (!channels.has(location)) channels.set(location, { events: [], dropped: sequence, listeners: new Set() });
+  return channels.get(location);
+}
+
+// Keeps at most historySize events, none older than historyMs
+function trim(entry) {
+  const cutoff = Date.now() - CONFIG.commentStream.historyMs;
+  while (entry.events.length > 0 && (entry.events.length > CONFIG.commentStream.historySize || entry.events[0].at < cutoff)) {
+    entry.dropped = entry.events.shift().seq;
+  }
+}
+
+// Events for locations nobody is listening to are only counted, not kept
+function publish(location, type, data) {
+  const event = { id: `${BOOT_ID}-${++sequence}`, seq: sequence, type, data, at: Date.now() };
+  const entry = channels.get(location);
+  if (!entry) return;
+
+  entry.events.push(event);
+  trim(entry);
+  entry.listeners.forEach(listener => listener(event));
+}
+
+// Only visible comments are streamed; held and shadow comments never leave the author's own lists.
+// Spoiler hints are for a reader at the thread's own episode, since listeners are anonymous.
+export function publishComment(type, comment) {
+  if (!comment || comment.status !== 'visible') return;
+  const spoiler = spoilerHints(comment, readerProgressAt(comment.location, null));
+  publish(comment.location, type, { ...publicComment(comment), spoiler });
+}
+
+// For comments that disappear from public lists: deleted, hidden by reports, or shadowed by a ban
+export function publishCommentRemoval(comment) {
+  if (!comment) return;
+  publish(comment.location, 'comment.deleted', { id: comment.id, parent_id: comment.parent_id ?? null, location: comment.location });
+}
+
+// Events after lastEventId, or null when it can't be resumed from (another boot, or too old)
+function eventsSince(location, lastEventId) {
+  const match = String(lastEventId).match(/^([0-9a-f]+)-(\d+)$/);
+  if (!match || match[1] !== BOOT_ID) return null;
+
+  const seq = parseInt(match[2]);
+  if (seq > sequence) return null;
+
+  const entry = channels.get(location);
+  if (!entry) return seq === sequence ? [] : null;
+  trim(entry);
+  if (seq < entry.dropped) return null;
+  return entry.events.filter(event => event.seq > seq);
+}
+
+function writeEvent(res, event) {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+}
+
+// Streams a location's events until the client disconnects. Clients resuming with
+// Last-Event-ID (or ?lastEventId=) get what they missed; when that isn't possible they
+// get a `resync` event and should refetch the list.
+export function streamComments(req, res, location) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    // Stop nginx and similar proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${CONFIG.commentStream.retryMs}\n\n`);
+
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+  if (lastEventId) {
+    const missed = eventsSince(location, lastEventId);
+    if (missed) missed.forEach(event => writeEvent(res, event));
+    else res.write(`event: resync\ndata: ${JSON.stringify({ location })}\n\n`);
+  }
+  // Gives the client an id to resume from even if nothing is posted before it reconnects
+  writeEvent(res, { id: `${BOOT_ID}-${sequence}`, type: 'ready', data: { location } });
+
+  const entry = openChannel(location);
+  const listener = event => writeEvent(res, event);
+  entry.listeners.add(listener);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), CONFIG.commentStream.heartbeatMs);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    entry.listeners.delete(listener);
+    if (entry.listeners.size === 0) channels.delete(location);
+  });
+}
@@ -0,0 +1,350 @@
+import { readerProgressAt, spoilerHints } from './spoilers.js';
+
+// The comments table: every comment and reply, threaded through parent_id.
+// Used by /api/comments and by the episode/movie comment routes in content.js.
+
+export function episodeLocation(slug, season, episode) {
+  return `series:${slug}:${season}-${episode}`;
+}
+
+export function movieLocation(slug) {
+  return `movie:${slug}`;
+}
+
+// Sort modes for paged lists: columns in order of precedence. The last one is unique,
+// so the values of a page's last row are enough for a keyset cursor.
+export const COMMENT_SORTS = {
+  newest: [['created_at', 'desc'], ['id', 'desc']],
+  oldest: [['created_at', 'asc'], ['id', 'asc']],
+  top: [['score', 'desc'], ['reply_count', 'desc'], ['created_at', 'desc'], ['id', 'desc']]
+};
+
+// Must match the CHECK on comment_reactions.reaction. The score weights live in
+// refresh_comment_reaction_counts() in supabase-schema-updated.sql.
+export const COMMENT_REACTIONS = ['like', 'dislike', 'love', 'laugh', 'wow', 'sad'];
+
+const DEFAULT_COMMENT_PAGE_SIZE = 20;
+const MAX_COMMENT_PAGE_SIZE = 100;
+
+function encodeCommentCursor(row, sort) {
+  return Buffer.from(JSON.stringify(COMMENT_SORTS[sort].map(([column]) => row[column]))).toString('base64url');
+}
+
+function decodeCommentCursor(cursor, sort) {
+  try {
+    const values = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return Array.isArray(values) && values.length === COMMENT_SORTS[sort].length ? values : null;
+  } catch {
+    return null;
+  }
+}
+
+export function parseCommentPageQuery(query, { defaultSort = 'newest' } = {}) {
+  const sort = query.sort || defaultSort;
+  if (!COMMENT_SORTS[sort]) {
+    return { error: `Invalid sort. Use one of: ${Object.keys(COMMENT_SORTS).join(', ')}` };
+  }
+
+  let after = null;
+  if (query.cursor !== undefined) {
+    after = decodeCommentCursor(query.cursor, sort);
+    if (!after) return { error: 'Invalid cursor' };
+  }
+
+  const limit = Math.min(Math.max(parseInt(query.limit) || DEFAULT_COMMENT_PAGE_SIZE, 1), MAX_COMMENT_PAGE_SIZE);
+
+  return { options: { sort, limit, after } };
+}
+
+function quote(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+// PostgREST `or` filter for "rows after these values" in the given sort:
+// a < x OR (a = x AND b < y) OR ... (> for ascending columns)
+function keysetFilter(columns, values) {
+  return columns
+    .map(([column, direction], i) => {
+      const equal = columns.slice(0, i).map(([previous], j) => `${previous}.eq.${quote(values[j])}`);
+      const after = `${column}.${direction === 'desc' ? 'lt' : 'gt'}.${quote(values[i])}`;
+      return equal.length > 0 ? `and(${[...equal, after].join(',')})` : after;
+    })
+    .join(',');
+}
+
+// Visible comments, plus the viewer's own held or shadow-banned ones (see comment-moderation.js)
+function visibilityFilter(viewerEmail) {
+  return `status.eq.visible,and(user_email.eq.${quote(viewerEmail)},status.in.(pending,shadow))`;
+}
+
+// One page of top-level comments at a location, or of the direct replies to parentId
+export async function loadCommentPage(supabase, { location = null, parentId = null, sort, limit, after = null, viewerEmail = null }) {
+  let query = supabase.from('comments').select('*');
+  query = parentId !== null
+    ? query.eq('parent_id', parentId)
+    : query.eq('location', location).is('parent_id', null);
+
+  if (viewerEmail) {
+    // Only one `or` filter is allowed per query, so both conditions go into it
+    query = after
+      ? query.or(`and(or(${keysetFilter(COMMENT_SORTS[sort], after)}),or(${visibilityFilter(viewerEmail)}))`)
+      : query.or(visibilityFilter(viewerEmail));
+  } else {
+    query = query.eq('status', 'visible');
+    if (after) query = query.or(keysetFilter(COMMENT_SORTS[sort], after));
+  }
+  COMMENT_SORTS[sort].forEach(([column, direction]) => {
+    query = query.order(column, { ascending: direction === 'asc' });
+  });
+
+  const { data, error } = await query.limit(limit + 1);
+  if (error) throw error;
+
+  const items = (data || []).slice(0, limit);
+  const hasMore = (data || []).length > limit;
+  return { items, nextCursor: hasMore ? encodeCommentCursor(items[items.length - 1], sort) : null };
+}
+
+// Every visible comment and reply at a location, newest first
+export async function loadComments(supabase, location) {
+  const { data, error } = await supabase
+    .from('comments')
+    .select('*')
+    .eq('location', location)
+    .eq('status', 'visible')
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
+
+// Every visible comment posted on any episode of a series
+export async function loadSeriesComments(supabase, slug) {
+  const { data, error } = await supabase
+    .from('comments')
+    .select('*')
+    .eq('series_slug', slug)
+    .eq('status', 'visible')
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
+
+// location may be null to look the comment up by id alone
+export async function getComment(supabase, location, id) {
+  let query = supabase
+    .from('comments')
+    .select('*')
+    .eq('id', id);
+  if (location !== null) query = query.eq('location', location);
+
+  const { data, error } = await query.maybeSingle();
+
+  // 22P02: the id isn't even valid for the column type
+  if (error && error.code !== '22P02') throw error;
+  return data || null;
+}
+
+// True when ancestorId is the parent, grandparent, ... of the comment
+export async function isReplyTo(supabase, comment, ancestorId) {
+  let current = comment;
+  const seen = new Set();
+  while (current && current.parent_id !== null && current.parent_id !== undefined) {
+    if (String(current.parent_id) === String(ancestorId)) return true;
+    if (seen.has(current.parent_id)) return false;
+    seen.add(current.parent_id);
+    current = await getComment(supabase, comment.location, current.parent_id);
+  }
+  return false;
+}
+
+export async function createComment(supabase, fields) {
+  const { data, error } = await supabase
+    .from('comments')
+    .insert({
+      user_email: fields.email || null,
+      username: fields.username || null,
+      first_name: fields.firstName || null,
+      last_name: fields.lastName || null,
+      content: fields.content,
+      location: fields.location,
+      series_slug: fields.seriesSlug || null,
+      movie_slug: fields.movieSlug || null,
+      parent_id: fields.parentId ?? null,
+      is_spoiler: Boolean(fields.isSpoiler),
+      spoiler_season: fields.spoilerScope ? fields.spoilerScope.season : null,
+      spoiler_episode: fields.spoilerScope ? fields.spoilerScope.episode : null,
+      status: fields.status || 'visible',
+      moderation_flags: fields.moderationFlags || [],
+      mentions: fields.mentions || [],
+      created_at: new Date().toISOString()
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+// The previous text goes to comment_edits (record_comment_edit trigger)
+// status and moderationFlags are only written when given (an edit that was screened again)
+export async function updateCommentContent(supabase, id, content, { mentions = [], status, moderationFlags } = {}) {
+  const changes = { content, mentions, edited: true, updated_at: new Date().toISOString() };
+  if (status) changes.status = status;
+  if (moderationFlags) changes.moderation_flags = moderationFlags;
+
+  const { data, error } = await supabase
+    .from('comments')
+    .update(changes)
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+// Earlier versions of a comment, oldest first; created_at is when each was replaced
+export async function loadCommentEdits(supabase, id) {
+  const { data, error } = await supabase
+    .from('comment_edits')
+    .select('content, created_at')
+    .eq('comment_id', id)
+    .order('created_at', { ascending: true })
+    .order('id', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+// Replies go with their parent (ON DELETE CASCADE)
+export async function deleteComment(supabase, id) {
+  const { error } = await supabase
+    .from('comments')
+    .delete()
+    .eq('id', id);
+
+  if (error) throw error;
+}
+
+// Sets the account's reaction to a comment, or clears it when it is already that reaction.
+// The (comment_id, user_email) primary key means an account only ever has one.
+export async function toggleReaction(supabase, commentId, email, reaction) {
+  const { data: existing, error: fetchError } = await supabase
+    .from('comment_reactions')
+    .select('reaction')
+    .eq('comment_id', commentId)
+    .eq('user_email', email)
+    .maybeSingle();
+
+  if (fetchError) throw fetchError;
+
+  if (existing && existing.reaction === reaction) {
+    const { error } = await supabase
+      .from('comment_reactions')
+      .delete()
+      .eq('comment_id', commentId)
+      .eq('user_email', email);
+
+    if (error) throw error;
+    return null;
+  }
+
+  const { error } = await supabase
+    .from('comment_reactions')
+    .upsert(
+      { comment_id: commentId, user_email: email, reaction, created_at: new Date().toISOString() },
+      { onConflict: 'comment_id,user_email' }
+    );
+
+  if (error) throw error;
+  return reaction;
+}
+
+// Adds `my_reaction` (or null) to each comment for the given account
+export async function withUserReactions(supabase, comments, email) {
+  if (!email || comments.length === 0) return comments;
+
+  const { data, error } = await supabase
+    .from('comment_reactions')
+    .select('comment_id, reaction')
+    .eq('user_email', email)
+    .in('comment_id', comments.map(comment => comment.id));
+
+  if (error) throw error;
+  const byComment = new Map((data || []).map(row => [String(row.comment_id), row.reaction]));
+  return comments.map(comment => ({ ...comment, my_reaction: byComment.get(String(comment.id)) || null }));
+}
+
+// The shape the episode/movie routes returned when comments lived in JSONB, plus spoiler
+// hints. These routes are anonymous, so the hints assume a reader at the thread's episode.
+export function toLegacyComment(row) {
+  const comment = {
+    id: row.id,
+    username: row.username,
+    text: row.content,
+    timestamp: row.created_at,
+    is_spoiler: Boolean(row.is_spoiler),
+    spoiler: spoilerHints(row, readerProgressAt(row.location, null))
+  };
+  if (row.edited) comment.edited = true;
+  if (row.mentions && row.mentions.length > 0) comment.mentions = row.mentions;
+  return comment;
+}
+
+// Rows (any order) to oldest-first top-level comments with nested `replies`.
+// Replies whose parent isn't among the rows (hidden or deleted) are left out with their own replies.
+export function toLegacyThread(rows) {
+  const sorted = [...rows].sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+  const byId = new Map(sorted.map(row => [String(row.id), { ...toLegacyComment(row), replies: [] }]));
+  const roots = [];
+
+  sorted.forEach(row => {
+    const node = byId.get(String(row.id));
+    if (row.parent_id === null || row.parent_id === undefined) roots.push(node);
+    else byId.get(String(row.parent_id))?.replies.push(node);
+  });
+
+  return roots;
+}
+
+// Flattens a JSONB `coments` array into rows for the comments table, parents before
+// their replies. Each row keeps its legacy id and its parent's legacy id. Legacy ids were
+// made by clients (often Date.now()), so a missing or repeated one is replaced by the
+// comment's position in the array, e.g. `pos:3.0` for the first reply to the fourth comment.
+// Comments without text are dropped; their replies move up to the nearest kept ancestor.
+export function flattenLegacyComments(comments, { location, seriesSlug = null, movieSlug = null }) {
+  const rows = [];
+  const seen = new Set();
+  const visit = (list, parentLegacyId, parentPosition) => {
+    (Array.isArray(list) ? list : []).forEach((comment, index) => {
+      if (!comment) return;
+      const position = parentPosition === null ? String(index) : `${parentPosition}.${index}`;
+      if (!comment.text) {
+        visit(comment.replies, parentLegacyId, position);
+        return;
+      }
+
+      const hasId = comment.id !== undefined && comment.id !== null && comment.id !== '';
+      let legacyId = hasId ? String(comment.id) : null;
+      if (legacyId === null || seen.has(legacyId)) legacyId = `pos:${position}`;
+      seen.add(legacyId);
+
+      rows.push({
+        legacy_id: legacyId,
+        parent_legacy_id: parentLegacyId,
+        username: comment.username || null,
+        content: String(comment.text),
+        edited: Boolean(comment.edited),
+        created_at: comment.timestamp || new Date().toISOString(),
+        location,
+        series_slug: seriesSlug,
+        movie_slug: movieSlug
+      });
+      visit(comment.replies, legacyId, position);
+    });
+  };
+  visit(comments, null, null);
+  return rows;
+}
@@ -36,6 +36,77 @@ export const CONFIG = {
     env: process.env.NODE_ENV || 'development',
   },
   
+  // Response cache (in front of Supabase reads in the API server)
+  cache: {
+    enabled: process.env.CACHE_ENABLED !== 'false',
+    maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES || '500', 10),
+    // Set on the scraper so its writes also clear the API server's cache
+    invalidateUrl: process.env.CACHE_INVALIDATE_URL || null,
+    invalidateToken: process.env.CACHE_INVALIDATE_TOKEN || null,
+  },
+
+  // Public frontend, used for links in calendars, feeds and sitemaps
+  site: {
+    url: (process.env.SITE_URL || '').replace(/\/+$/, '') || null,
+    name: process.env.SITE_NAME || 'AniVerse',
+  },
+
+  // Trending rollup: how often buffered view/play/favorite/comment counts are written
+  trending: {
+    flushInterval: parseInt(process.env.TRENDING_FLUSH_INTERVAL_MS || '30000', 10),
+  },
+
+  // GraphQL (/api/graphql): queries deeper or costlier than this are rejected before running
+  graphql: {
+    maxDepth: parseInt(process.env.GRAPHQL_MAX_DEPTH || '8', 10),
+    maxComplexity: parseInt(process.env.GRAPHQL_MAX_COMPLEXITY || '1000', 10),
+  },
+
+  // Image proxy (/api/img): resized WebP/AVIF copies of posters and thumbnails, cached on disk
+  images: {
+    enabled: process.env.IMAGE_PROXY_ENABLED !== 'false',
+    // Where clients reach the proxy; set to an absolute URL when the frontend is on another origin
+    proxyUrl: process.env.IMAGE_PROXY_URL || '/api/img',
+    cacheDir: process.env.IMAGE_CACHE_DIR || '.cache/images',
+    // Least recently used images are deleted once the disk cache grows past this
+    cacheMaxBytes: parseInt(process.env.IMAGE_CACHE_MAX_BYTES || String(500 * 1024 * 1024), 10),
+    allowedHosts: (process.env.IMAGE_ALLOWED_HOSTS || `image.tmdb.org,${new URL(process.env.SCRAPE_URL || 'https://toonstream.love/').hostname}`)
+      .split(',').map(h => h.trim().toLowerCase()).filter(Boolean),
+    maxSourceBytes: parseInt(process.env.IMAGE_MAX_SOURCE_BYTES || String(15 * 1024 * 1024), 10),
+  },
+
+  // Bearer token checks for user-scoped routes (src/auth-middleware.js)
+  auth: {
+    // Project JWT secret (Supabase dashboard > API). When set, HS256 access tokens are
+    // verified locally; otherwise each new token is checked with Supabase Auth.
+    jwtSecret: process.env.SUPABASE_JWT_SECRET || null,
+    cacheMs: parseInt(process.env.AUTH_CACHE_MS || '60000', 10),
+    // How long a loginToken lasts without POST /api/auth/refresh
+    sessionTtlMs: parseInt(process.env.AUTH_SESSION_TTL_MS || String(30 * 24 * 60 * 60 * 1000), 10),
+  },
+
+  // Comment moderation: new comments matching the filter are held for review, accounts
+  // are rate limited, and comments are hidden once enough users report them
+  moderation: {
+    blockedWords: (process.env.COMMENT_BLOCKED_WORDS || '').split(',').map(w => w.trim().toLowerCase()).filter(Boolean),
+    maxLinks: parseInt(process.env.COMMENT_MAX_LINKS || '0', 10),
+    reportThreshold: parseInt(process.env.COMMENT_REPORT_THRESHOLD || '3', 10),
+    rateLimit: parseInt(process.env.COMMENT_RATE_LIMIT || '5', 10),
+    rateWindow: parseInt(process.env.COMMENT_RATE_WINDOW_MS || '60000', 10),
+    // Shared secret for the /api/moderation endpoints (x-moderation-token header)
+    adminToken: process.env.MODERATION_ADMIN_TOKEN || null,
+  },
+
+  // Live comment streams (GET /api/comments/:location/stream)
+  commentStream: {
+    // Events kept per location so reconnecting clients can catch up via Last-Event-ID
+    historySize: parseInt(process.env.COMMENT_STREAM_HISTORY || '100', 10),
+    historyMs: parseInt(process.env.COMMENT_STREAM_HISTORY_MS || String(10 * 60 * 1000), 10),
+    heartbeatMs: parseInt(process.env.COMMENT_STREAM_HEARTBEAT_MS || '25000', 10),
+    // Reconnect delay suggested to EventSource clients
+    retryMs: parseInt(process.env.COMMENT_STREAM_RETRY_MS || '3000', 10),
+  },
+
   // Resend Email
   resend: {
     apiKey: process.env.RESEND_API_KEY,
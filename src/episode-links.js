@@ -2,6 +2,7 @@ import axios from 'axios';
 import * as cheerio from 'cheerio';
 import { HttpsProxyAgent } from 'https-proxy-agent';
 import { supabase } from './server/supabase-client.js';
+import { invalidateSeries } from './cache.js';
 
 const CONFIG = {
 	timeout: 30000,
@@ -653,6 +654,7 @@ async function saveEpisodeToSupabase(seriesCtx, seasonNumber, episodeNumber, pay
 		processedEpisodes.add(episodeKey);
 		console.log(`      💾 Saved to Supabase: ${seriesCtx.baseName} S${seasonNumber}E${episodeNumber}`);
 		await updateLatestEpisodesInSupabase(seriesCtx, seasonNumber, episodeNumber, payload);
+		await invalidateSeries(seriesCtx.baseName);
 	}
 }
 
@@ -0,0 +1,82 @@
+// Episode helpers shared by the content routes and the scraper-side client
+
+export function episodeId(ep) {
+  return `${ep.season}-${ep.episode}`;
+}
+
+// Entry used in the series detail and season listings
+export function toEpisodeListItem(ep) {
+  return {
+    id: episodeId(ep),
+    number: ep.episode,
+    title: ep.episode_title || ep.title,
+    duration: '',
+    thumbnail: ep.episode_card_thumbnail || ep.episode_list_thumbnail || ep.thumbnail,
+    episode_main_poster: ep.episode_main_poster,
+    episode_card_thumbnail: ep.episode_card_thumbnail,
+    episode_list_thumbnail: ep.episode_list_thumbnail,
+    video_player_thumbnail: ep.video_player_thumbnail,
+    description: ''
+  };
+}
+
+function compareEpisodes(a, b) {
+  return a.season - b.season || a.episode - b.episode;
+}
+
+// Gaps inside each season, e.g. S1 has 1, 2 and 4 -> S1E3 is missing
+export function findMissingEpisodes(episodes) {
+  const seasons = {};
+  episodes.forEach(ep => {
+    if (!seasons[ep.season]) seasons[ep.season] = [];
+    seasons[ep.season].push(ep.episode);
+  });
+
+  const missing = [];
+  Object.entries(seasons).forEach(([season, episodeNumbers]) => {
+    const seasonNum = parseInt(season);
+    const sortedEps = episodeNumbers.sort((a, b) => a - b);
+    const maxEp = Math.max(...sortedEps);
+
+    for (let ep = 1; ep <= maxEp; ep++) {
+      if (!sortedEps.includes(ep)) {
+        missing.push({ season: seasonNum, episode: ep });
+      }
+    }
+  });
+
+  return missing;
+}
+
+function toEpisodeRef(ep, skipped) {
+  return {
+    id: episodeId(ep),
+    season: ep.season,
+    episode: ep.episode,
+    title: ep.episode_title || ep.title,
+    thumbnail: ep.episode_card_thumbnail || ep.episode_list_thumbnail || ep.thumbnail,
+    skipped
+  };
+}
+
+// Previous/next available episodes, crossing season boundaries. Missing
+// episodes are jumped over and listed in `skipped` on the reference.
+export function findEpisodeNeighbours(episodes, season, episode) {
+  const ordered = [...episodes].sort(compareEpisodes);
+  const index = ordered.findIndex(ep => ep.season === season && ep.episode === episode);
+  if (index === -1) return { prev: null, next: null };
+
+  const missing = findMissingEpisodes(ordered);
+  const between = (from, to) => missing.filter(m =>
+    compareEpisodes(m, from) > 0 && compareEpisodes(m, to) < 0
+  );
+
+  const current = ordered[index];
+  const prev = ordered[index - 1];
+  const next = ordered[index + 1];
+
+  return {
+    prev: prev ? toEpisodeRef(prev, between(prev, current)) : null,
+    next: next ? toEpisodeRef(next, between(current, next)) : null
+  };
+}
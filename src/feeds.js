@@ -0,0 +1,113 @@
+// RSS 2.0, Atom 1.0 and JSON Feed 1.1 renderers over one feed shape:
+// { title, description, link, feedUrl, updated, items: [{ id, title, url, summary, published, image }] }
+
+export const FEED_FORMATS = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+  json: 'application/feed+json; charset=utf-8'
+};
+
+export function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function imageType(url) {
+  const extension = String(url).split('?')[0].split('.').pop().toLowerCase();
+  const types = { png: 'image/png', webp: 'image/webp', gif: 'image/gif', avif: 'image/avif' };
+  return types[extension] || 'image/jpeg';
+}
+
+// GUIDs only depend on the episode, so they survive title, URL or host changes
+export function episodeGuid(seriesSlug, season, episode) {
+  return `urn:aniverse:episode:${seriesSlug}:${season}-${episode}`;
+}
+
+export function renderRss(feed) {
+  const items = feed.items.map(item => [
+    '    <item>',
+    `      <title>${escapeXml(item.title)}</title>`,
+    item.url ? `      <link>${escapeXml(item.url)}</link>` : null,
+    `      <guid isPermaLink="false">${escapeXml(item.id)}</guid>`,
+    `      <pubDate>${item.published.toUTCString()}</pubDate>`,
+    item.summary ? `      <description>${escapeXml(item.summary)}</description>` : null,
+    item.image ? `      <enclosure url="${escapeXml(item.image)}" type="${imageType(item.image)}" length="0"/>` : null,
+    '    </item>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(feed.link || feed.feedUrl)}</link>`,
+    `    <description>${escapeXml(feed.description)}</description>`,
+    `    <atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml"/>`,
+    `    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    ''
+  ].join('\n');
+}
+
+export function renderAtom(feed) {
+  const entries = feed.items.map(item => [
+    '  <entry>',
+    `    <id>${escapeXml(item.id)}</id>`,
+    `    <title>${escapeXml(item.title)}</title>`,
+    item.url ? `    <link rel="alternate" href="${escapeXml(item.url)}"/>` : null,
+    `    <published>${item.published.toISOString()}</published>`,
+    `    <updated>${item.published.toISOString()}</updated>`,
+    item.summary ? `    <summary>${escapeXml(item.summary)}</summary>` : null,
+    item.image ? `    <link rel="enclosure" type="${imageType(item.image)}" href="${escapeXml(item.image)}"/>` : null,
+    '  </entry>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(feed.feedUrl)}</id>`,
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <subtitle>${escapeXml(feed.description)}</subtitle>`,
+    `  <link rel="self" href="${escapeXml(feed.feedUrl)}"/>`,
+    feed.link ? `  <link rel="alternate" href="${escapeXml(feed.link)}"/>` : null,
+    `  <updated>${feed.updated.toISOString()}</updated>`,
+    `  <author><name>${escapeXml(feed.author)}</name></author>`,
+    ...entries,
+    '</feed>',
+    ''
+  ].filter(line => line !== null).join('\n');
+}
+
+export function renderJsonFeed(feed) {
+  const body = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    description: feed.description,
+    home_page_url: feed.link || undefined,
+    feed_url: feed.feedUrl,
+    authors: [{ name: feed.author }],
+    items: feed.items.map(item => ({
+      id: item.id,
+      url: item.url || undefined,
+      title: item.title,
+      content_text: item.summary || item.title,
+      image: item.image || undefined,
+      date_published: item.published.toISOString(),
+      attachments: item.image ? [{ url: item.image, mime_type: imageType(item.image) }] : undefined
+    }))
+  };
+
+  return JSON.stringify(body, null, 2);
+}
+
+export function renderFeed(feed, format) {
+  if (format === 'atom') return renderAtom(feed);
+  if (format === 'json') return renderJsonFeed(feed);
+  return renderRss(feed);
+}
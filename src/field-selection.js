@@ -0,0 +1,56 @@
+// ?fields= and ?include= for the content routes.
+// fields picks top-level keys of each returned object; include opts into the
+// expensive sections a route can embed. Without either parameter a route keeps
+// its full legacy response, including its default sections.
+
+function splitList(value) {
+  if (value === undefined) return null;
+  return String(value)
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean);
+}
+
+// sections: what ?include= may name on this route; defaults: what the legacy response embeds
+export function parseFieldSelection(query, { sections = [], defaults = [] } = {}) {
+  const fields = splitList(query.fields);
+  const include = splitList(query.include);
+
+  const unknown = (include || []).filter(name => !sections.includes(name));
+  if (unknown.length > 0) {
+    const allowed = sections.length > 0 ? sections.join(', ') : 'none on this route';
+    return { error: `Unknown include: ${unknown.join(', ')} (allowed: ${allowed})` };
+  }
+
+  if (fields === null && include === null) {
+    return { selection: { fields: null, include: new Set(defaults) } };
+  }
+
+  // Naming a section in fields is the same as including it
+  const included = new Set([
+    ...(include || []),
+    ...(fields || []).filter(name => sections.includes(name))
+  ]);
+
+  return {
+    selection: {
+      fields: fields && new Set([...fields, ...included]),
+      include: included
+    }
+  };
+}
+
+export function isIncluded(selection, section) {
+  return selection.include.has(section);
+}
+
+// Unknown field names are ignored rather than rejected
+export function selectFields(object, selection) {
+  if (!selection.fields || !object) return object;
+
+  const picked = {};
+  selection.fields.forEach(name => {
+    if (name in object) picked[name] = object[name];
+  });
+  return picked;
+}
@@ -0,0 +1,123 @@
+// Scraped (toonstream) and TMDB genre spellings mapped onto one canonical list.
+// Keys are in genreKey() form; a combined TMDB genre expands to several names.
+const GENRE_ALIASES = {
+  'action': ['Action'],
+  'adventure': ['Adventure'],
+  'action and adventure': ['Action', 'Adventure'],
+  'animation': ['Animation'],
+  'anime': ['Anime'],
+  'cartoon': ['Cartoon'],
+  'cartoons': ['Cartoon'],
+  'comedy': ['Comedy'],
+  'crime': ['Crime'],
+  'documentary': ['Documentary'],
+  'drama': ['Drama'],
+  'family': ['Family'],
+  'fantasy': ['Fantasy'],
+  'history': ['History'],
+  'historical': ['History'],
+  'horror': ['Horror'],
+  'kids': ['Kids'],
+  'children': ['Kids'],
+  'mecha': ['Mecha'],
+  'music': ['Music'],
+  'musical': ['Music'],
+  'mystery': ['Mystery'],
+  'romance': ['Romance'],
+  'romantic': ['Romance'],
+  'sci fi': ['Science Fiction'],
+  'scifi': ['Science Fiction'],
+  'science fiction': ['Science Fiction'],
+  'sci fi and fantasy': ['Science Fiction', 'Fantasy'],
+  'slice of life': ['Slice of Life'],
+  'sport': ['Sports'],
+  'sports': ['Sports'],
+  'supernatural': ['Supernatural'],
+  'thriller': ['Thriller'],
+  'suspense': ['Thriller'],
+  'war': ['War'],
+  'war and politics': ['War', 'Politics'],
+  'politics': ['Politics'],
+  'western': ['Western'],
+  'tv movie': ['TV Movie'],
+  'reality': ['Reality'],
+  'soap': ['Soap'],
+  'talk': ['Talk'],
+  'news': ['News']
+};
+
+function genreKey(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function titleCase(name) {
+  return String(name)
+    .trim()
+    .replace(/\s+/g, ' ')
+    .split(' ')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+    .join(' ');
+}
+
+export function genreSlug(name) {
+  return genreKey(name).replace(/ /g, '-');
+}
+
+// Returns the canonical genre name(s) for one raw spelling
+export function normalizeGenre(name) {
+  const key = genreKey(name);
+  if (!key) return [];
+  return GENRE_ALIASES[key] || [titleCase(key)];
+}
+
+export function normalizeGenres(genres) {
+  const result = [];
+  (genres || []).forEach(raw => {
+    normalizeGenre(raw).forEach(name => {
+      if (!result.includes(name)) result.push(name);
+    });
+  });
+  return result;
+}
+
+// True when any of the row's genres normalizes to the wanted genre (name or slug)
+export function hasGenre(genres, wanted) {
+  const targets = normalizeGenre(wanted).map(genreSlug);
+  return normalizeGenres(genres).some(name => targets.includes(genreSlug(name)));
+}
+
+// Builds the genre list with per-type counts and the poster of the most popular title
+export function buildGenreCatalog({ series = [], movies = [] }) {
+  const genres = new Map();
+
+  const add = (row, type) => {
+    normalizeGenres(row.genres).forEach(name => {
+      const slug = genreSlug(name);
+      if (!genres.has(slug)) {
+        genres.set(slug, { name, slug, count: 0, seriesCount: 0, movieCount: 0, poster: null, _rank: -1 });
+      }
+
+      const entry = genres.get(slug);
+      entry.count++;
+      if (type === 'movie') entry.movieCount++;
+      else entry.seriesCount++;
+
+      const rank = (row.popularity || 0) + (row.rating || 0);
+      if (row.poster && rank > entry._rank) {
+        entry.poster = row.poster;
+        entry._rank = rank;
+      }
+    });
+  };
+
+  series.forEach(row => add(row, 'series'));
+  movies.forEach(row => add(row, 'movie'));
+
+  return [...genres.values()]
+    .map(({ _rank, ...entry }) => entry)
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+}
@@ -0,0 +1,110 @@
+import { GraphQLError, Kind, getNamedType, getNullableType, isListType, isObjectType, isInterfaceType } from 'graphql';
+
+// Lists without a `limit` argument return (and are costed at) this many items, and no
+// list returns more than MAX_LIST_SIZE. The resolvers apply the same numbers.
+export const DEFAULT_LIST_SIZE = 10;
+export const MAX_LIST_SIZE = 100;
+
+// Introspection (__schema, __type) is nested deeply by design and isn't counted
+function isIntrospection(node) {
+  return node.kind === Kind.FIELD && node.name.value.startsWith('__');
+}
+
+function argumentValue(node, name, variables) {
+  const arg = (node.arguments || []).find(a => a.name.value === name);
+  if (!arg) return undefined;
+  if (arg.value.kind === Kind.VARIABLE) return variables[arg.value.name.value];
+  if (arg.value.kind === Kind.INT) return parseInt(arg.value.value);
+  return undefined;
+}
+
+// Walks a selection set, following fragments, and sums visit(fieldNode, parentType, state)
+function walk(selectionSet, parentType, fragments, state, visit, seen = new Set()) {
+  let total = 0;
+  for (const selection of selectionSet.selections) {
+    if (selection.kind === Kind.FIELD) {
+      if (!isIntrospection(selection)) total += visit(selection, parentType, state);
+    } else if (selection.kind === Kind.INLINE_FRAGMENT) {
+      total += walk(selection.selectionSet, parentType, fragments, state, visit, seen);
+    } else if (selection.kind === Kind.FRAGMENT_SPREAD) {
+      const name = selection.name.value;
+      // A fragment that spreads itself is rejected by the standard rules; just don't loop here
+      if (seen.has(name) || !fragments[name]) continue;
+      total += walk(fragments[name].selectionSet, parentType, fragments, state, visit, new Set([...seen, name]));
+    }
+  }
+  return total;
+}
+
+function fieldDefinition(parentType, fieldNode) {
+  if (!parentType || !(isObjectType(parentType) || isInterfaceType(parentType))) return null;
+  return parentType.getFields()[fieldNode.name.value] || null;
+}
+
+function fieldType(parentType, fieldNode) {
+  const field = fieldDefinition(parentType, fieldNode);
+  return field ? field.type : null;
+}
+
+function operationRule(check) {
+  return context => {
+    const fragments = {};
+    context.getDocument().definitions.forEach(def => {
+      if (def.kind === Kind.FRAGMENT_DEFINITION) fragments[def.name.value] = def;
+    });
+
+    return {
+      OperationDefinition(operation) {
+        const rootType = context.getSchema().getRootType(operation.operation);
+        const error = check({ operation, rootType, fragments });
+        if (error) context.reportError(new GraphQLError(error, { nodes: [operation] }));
+      }
+    };
+  };
+}
+
+export function depthLimitRule(maxDepth) {
+  return operationRule(({ operation, rootType, fragments }) => {
+    let deepest = 0;
+    const visit = (node, parentType, depth) => {
+      deepest = Math.max(deepest, depth);
+      if (node.selectionSet) {
+        walk(node.selectionSet, getNamedType(fieldType(parentType, node)), fragments, depth + 1, visit);
+      }
+      return 0;
+    };
+    walk(operation.selectionSet, rootType, fragments, 1, visit);
+
+    return deepest > maxDepth ? `Query depth ${deepest} exceeds the maximum of ${maxDepth}` : null;
+  });
+}
+
+// Each field costs 1; a list field multiplies the cost of its selection by its `limit`
+// argument (or the argument's default in the schema). A `limit` on a non-list field
+// (e.g. library) sizes the lists directly below it.
+export function complexityLimitRule(maxComplexity, variables = {}) {
+  return operationRule(({ operation, rootType, fragments }) => {
+    let negativeLimit = false;
+    const visit = (node, parentType, listSize) => {
+      const field = fieldDefinition(parentType, node);
+      const type = field ? field.type : null;
+      if (!node.selectionSet) return 1;
+
+      const limitArg = field && field.args.find(arg => arg.name === 'limit');
+      let limit = argumentValue(node, 'limit', variables) ?? limitArg?.defaultValue;
+      if (limit < 0) negativeLimit = true;
+      if (Number.isInteger(limit)) limit = Math.min(Math.max(limit, 0), MAX_LIST_SIZE);
+
+      const isList = type && isListType(getNullableType(type));
+      const size = isList ? (limit ?? listSize) : 1;
+      const childListSize = !isList && limit != null ? limit : DEFAULT_LIST_SIZE;
+
+      const childCost = walk(node.selectionSet, getNamedType(type), fragments, childListSize, visit);
+      return 1 + size * childCost;
+    };
+    const complexity = walk(operation.selectionSet, rootType, fragments, DEFAULT_LIST_SIZE, visit);
+
+    if (negativeLimit) return 'limit must not be negative';
+    return complexity > maxComplexity ? `Query complexity ${complexity} exceeds the maximum of ${maxComplexity}` : null;
+  });
+}
@@ -0,0 +1,88 @@
+import DataLoader from 'dataloader';
+import { loadCatalogRows } from '../catalog.js';
+import { parseFavorites, formatWatchHistoryEntry } from '../user-data.js';
+
+function groupBy(rows, key) {
+  const groups = new Map();
+  rows.forEach(row => {
+    const value = typeof key === 'function' ? key(row) : row[key];
+    if (!groups.has(value)) groups.set(value, []);
+    groups.get(value).push(row);
+  });
+  return groups;
+}
+
+// Per-request loaders: every lookup of the same kind made while resolving one
+// query is collected into a single Supabase request.
+export function createLoaders(supabase) {
+  // Series and movie rows come from the cached catalog, so these never hit the DB per slug
+  const seriesBySlug = new DataLoader(async slugs => {
+    const { series } = await loadCatalogRows(supabase);
+    const bySlug = new Map(series.map(row => [row.slug, row]));
+    return slugs.map(slug => bySlug.get(slug) || null);
+  });
+
+  const movieBySlug = new DataLoader(async slugs => {
+    const { movies } = await loadCatalogRows(supabase);
+    const bySlug = new Map(movies.map(row => [row.slug, row]));
+    return slugs.map(slug => bySlug.get(slug) || null);
+  });
+
+  const episodesBySeries = new DataLoader(async slugs => {
+    const { data, error } = await supabase
+      .from('episodes')
+      .select('*')
+      .in('series_slug', slugs)
+      .order('season')
+      .order('episode');
+
+    if (error) throw error;
+    const groups = groupBy(data || [], 'series_slug');
+    return slugs.map(slug => groups.get(slug) || []);
+  });
+
+  const commentsByLocation = new DataLoader(async locations => {
+    const { data, error } = await supabase
+      .from('comments')
+      .select('*')
+      .in('location', locations)
+      .eq('status', 'visible')
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    const groups = groupBy(data || [], 'location');
+    return locations.map(location => groups.get(location) || []);
+  });
+
+  const favoritesByEmail = new DataLoader(async emails => {
+    const { data, error } = await supabase
+      .from('user_data')
+      .select('email, watched')
+      .in('email', emails);
+
+    if (error) throw error;
+    const byEmail = new Map((data || []).map(row => [row.email, parseFavorites(row.watched)]));
+    return emails.map(email => byEmail.get(email) || []);
+  });
+
+  const watchHistoryByEmail = new DataLoader(async emails => {
+    const { data, error } = await supabase
+      .from('watch_history')
+      .select('*')
+      .in('user_email', emails)
+      .order('watched_at', { ascending: false });
+
+    if (error) throw error;
+    const groups = groupBy((data || []).map(formatWatchHistoryEntry), 'user_email');
+    return emails.map(email => groups.get(email) || []);
+  });
+
+  return {
+    seriesBySlug,
+    movieBySlug,
+    episodesBySeries,
+    commentsByLocation,
+    favoritesByEmail,
+    watchHistoryByEmail
+  };
+}
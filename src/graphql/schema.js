@@ -0,0 +1,383 @@
+import { buildSchema, GraphQLError } from 'graphql';
+import {
+  loadSeriesDetail,
+  loadMovie,
+  loadLatestEpisodes,
+  parseLibraryQuery,
+  queryLibrary,
+  DEFAULT_PAGE_SIZE
+} from '../catalog.js';
+import { episodeId, findMissingEpisodes, findEpisodeNeighbours } from '../episodes.js';
+import { DEFAULT_LIST_SIZE, MAX_LIST_SIZE } from './limits.js';
+import { parseEpisodeLocation, seriesProgress, readerProgressAt, spoilerHints } from '../spoilers.js';
+
+const typeDefs = `
+  type Query {
+    series(slug: String!): Series
+    movie(slug: String!): Movie
+    episode(seriesSlug: String!, season: Int!, episode: Int!): Episode
+    library(type: String, genre: String, status: String, language: String, sort: String, order: String, limit: Int = ${DEFAULT_PAGE_SIZE}, after: String): LibraryPage!
+    latestEpisodes(limit: Int): [LatestEpisode!]!
+    comments(location: String!, limit: Int): [Comment!]!
+    "Requires an Authorization header, like the REST endpoint"
+    favorites(email: String!, limit: Int): [Favorite!]!
+    "Requires an Authorization header, like the REST endpoint"
+    watchHistory(email: String!, limit: Int): [WatchHistoryEntry!]!
+  }
+
+  type Series {
+    slug: String!
+    title: String!
+    description: String
+    poster: String
+    bannerImage: String
+    genres: [String!]!
+    status: String
+    releaseYear: Int
+    rating: Float
+    totalEpisodes: Int!
+    seasons(limit: Int): [Season!]!
+    season(number: Int!): Season
+    episodes(limit: Int): [Episode!]!
+  }
+
+  type Season {
+    number: Int!
+    totalEpisodes: Int!
+    missing: [Int!]!
+    episodes(limit: Int): [Episode!]!
+  }
+
+  type Episode {
+    id: String!
+    seriesSlug: String!
+    season: Int!
+    number: Int!
+    title: String
+    description: String
+    thumbnail: String
+    mainPoster: String
+    servers: [Server!]!
+    series: Series
+    previous: EpisodeRef
+    next: EpisodeRef
+  }
+
+  type EpisodeRef {
+    id: String!
+    season: Int!
+    number: Int!
+    title: String
+    thumbnail: String
+  }
+
+  type Server {
+    option: String
+    url: String
+  }
+
+  type Movie {
+    slug: String!
+    title: String!
+    description: String
+    poster: String
+    bannerImage: String
+    genres: [String!]!
+    releaseYear: Int
+    runtime: Int
+    rating: Float
+    servers: [Server!]!
+  }
+
+  type LibraryPage {
+    items(limit: Int): [LibraryItem!]!
+    total: Int!
+    nextCursor: String
+  }
+
+  type LibraryItem {
+    type: String!
+    slug: String!
+    title: String!
+    poster: String
+    genres: [String!]!
+    synopsis: String
+    releaseYear: Int
+    rating: Float
+    series: Series
+    movie: Movie
+  }
+
+  type LatestEpisode {
+    seriesSlug: String!
+    seriesTitle: String
+    season: Int!
+    number: Int!
+    title: String
+    thumbnail: String
+    addedAt: String
+    series: Series
+    episode: Episode
+  }
+
+  type Comment {
+    id: ID!
+    location: String!
+    username: String
+    firstName: String
+    lastName: String
+    content: String!
+    createdAt: String
+    parentId: ID
+    isSpoiler: Boolean!
+    spoiler: SpoilerHints!
+    replyCount: Int!
+    score: Int!
+    reactions: [ReactionCount!]!
+    series: Series
+    movie: Movie
+  }
+
+  # How to render a comment for this reader; see the spoiler hints of GET /api/comments/:location
+  type SpoilerHints {
+    blur: Boolean!
+    reasons: [String!]!
+    spoilerEpisode: SpoilerEpisode
+    hasInlineSpoilers: Boolean!
+    segments: [SpoilerSegment!]!
+  }
+
+  type SpoilerEpisode {
+    season: Int!
+    episode: Int!
+  }
+
+  type SpoilerSegment {
+    type: String!
+    text: String!
+  }
+
+  type ReactionCount {
+    reaction: String!
+    count: Int!
+  }
+
+  type Favorite {
+    type: String
+    title: String
+    posterImage: String
+    addedAt: String
+    series: Series
+    movie: Movie
+  }
+
+  type WatchHistoryEntry {
+    id: ID
+    type: String
+    title: String
+    posterImage: String
+    seasonNumber: Int
+    episodeNumber: Int
+    progress: Float
+    watchedAt: String
+    series: Series
+    movie: Movie
+    episode: Episode
+  }
+`;
+
+// The list sizes complexityLimitRule charges for: DEFAULT_LIST_SIZE when no limit is given
+function take(list, limit) {
+  const size = Number.isInteger(limit) ? limit : DEFAULT_LIST_SIZE;
+  return list.slice(0, Math.min(Math.max(size, 0), MAX_LIST_SIZE));
+}
+
+// Per-user fields need a valid login token for the account they ask about
+function requireUser(context, email) {
+  if (!context.user) {
+    throw new GraphQLError('Unauthorized', { extensions: { code: 'UNAUTHENTICATED' } });
+  }
+  if (String(email).toLowerCase() !== context.user.email) {
+    throw new GraphQLError('Forbidden - You can only access your own account', { extensions: { code: 'FORBIDDEN' } });
+  }
+}
+
+function toInt(value) {
+  const number = parseInt(value);
+  return Number.isNaN(number) ? null : number;
+}
+
+async function findEpisode(loaders, slug, season, number) {
+  const episodes = await loaders.episodesBySeries.load(slug);
+  return episodes.find(ep => ep.season === season && ep.episode === number) || null;
+}
+
+function seasonsOf(episodes) {
+  const seasons = new Map();
+  episodes.forEach(ep => {
+    if (!seasons.has(ep.season)) seasons.set(ep.season, []);
+    seasons.get(ep.season).push(ep);
+  });
+  return [...seasons.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([number, seasonEpisodes]) => ({ number, episodes: seasonEpisodes }));
+}
+
+function toEpisodeRef(ref) {
+  return ref && { id: ref.id, season: ref.season, number: ref.episode, title: ref.title, thumbnail: ref.thumbnail };
+}
+
+const resolvers = {
+  Query: {
+    async series(_, { slug }, { supabase, loaders }) {
+      const { series, episodes } = await loadSeriesDetail(supabase, slug);
+      if (series) loaders.episodesBySeries.prime(slug, episodes);
+      return series;
+    },
+    movie: (_, { slug }, { supabase }) => loadMovie(supabase, slug),
+    episode: (_, { seriesSlug, season, episode }, { loaders }) => findEpisode(loaders, seriesSlug, season, episode),
+    async library(_, args, { supabase }) {
+      const { options, error } = parseLibraryQuery({ ...args, cursor: args.after });
+      if (error) throw new GraphQLError(error, { extensions: { code: 'BAD_USER_INPUT' } });
+      return queryLibrary(supabase, options);
+    },
+    latestEpisodes: async (_, { limit }, { supabase }) => take(await loadLatestEpisodes(supabase), limit),
+    comments: async (_, { location, limit }, { loaders }) => take(await loaders.commentsByLocation.load(location), limit),
+    async favorites(_, { email, limit }, context) {
+      requireUser(context, email);
+      return take(await context.loaders.favoritesByEmail.load(email), limit);
+    },
+    async watchHistory(_, { email, limit }, context) {
+      requireUser(context, email);
+      return take(await context.loaders.watchHistoryByEmail.load(email), limit);
+    }
+  },
+
+  Series: {
+    bannerImage: series => series.banner_image,
+    genres: series => series.genres || [],
+    releaseYear: series => series.year || series.release_year,
+    totalEpisodes: async (series, _, { loaders }) => (await loaders.episodesBySeries.load(series.slug)).length,
+    seasons: async (series, { limit }, { loaders }) => take(seasonsOf(await loaders.episodesBySeries.load(series.slug)), limit),
+    season: async (series, { number }, { loaders }) =>
+      seasonsOf(await loaders.episodesBySeries.load(series.slug)).find(season => season.number === number) || null,
+    episodes: async (series, { limit }, { loaders }) => take(await loaders.episodesBySeries.load(series.slug), limit)
+  },
+
+  Season: {
+    totalEpisodes: season => season.episodes.length,
+    missing: season => findMissingEpisodes(season.episodes).map(m => m.episode),
+    episodes: (season, { limit }) => take(season.episodes, limit)
+  },
+
+  Episode: {
+    id: ep => episodeId(ep),
+    seriesSlug: ep => ep.series_slug,
+    number: ep => ep.episode,
+    title: ep => ep.episode_title || ep.title,
+    thumbnail: ep => ep.episode_card_thumbnail || ep.episode_list_thumbnail || ep.thumbnail,
+    mainPoster: ep => ep.episode_main_poster,
+    servers: ep => ep.servers || [],
+    series: (ep, _, { loaders }) => loaders.seriesBySlug.load(ep.series_slug),
+    previous: async (ep, _, { loaders }) =>
+      toEpisodeRef(findEpisodeNeighbours(await loaders.episodesBySeries.load(ep.series_slug), ep.season, ep.episode).prev),
+    next: async (ep, _, { loaders }) =>
+      toEpisodeRef(findEpisodeNeighbours(await loaders.episodesBySeries.load(ep.series_slug), ep.season, ep.episode).next)
+  },
+
+  Server: {
+    option: server => server.option || server.name || null
+  },
+
+  Movie: {
+    bannerImage: movie => movie.banner_image,
+    genres: movie => movie.genres || [],
+    releaseYear: movie => movie.year || movie.release_year,
+    servers: movie => movie.servers || []
+  },
+
+  LibraryPage: {
+    // Without a limit, the whole page the library query asked for
+    items: (page, { limit }) => (limit == null ? page.items : take(page.items, limit))
+  },
+
+  LibraryItem: {
+    releaseYear: item => item.release_year,
+    series: (item, _, { loaders }) => (item.type === 'series' ? loaders.seriesBySlug.load(item.slug) : null),
+    movie: (item, _, { loaders }) => (item.type === 'movie' ? loaders.movieBySlug.load(item.slug) : null)
+  },
+
+  LatestEpisode: {
+    seriesSlug: ep => ep.series_slug,
+    seriesTitle: ep => ep.series_title,
+    number: ep => ep.episode,
+    title: ep => ep.episode_title,
+    addedAt: ep => ep.added_at,
+    series: (ep, _, { loaders }) => loaders.seriesBySlug.load(ep.series_slug),
+    episode: (ep, _, { loaders }) => findEpisode(loaders, ep.series_slug, ep.season, ep.episode)
+  },
+
+  Comment: {
+    firstName: comment => comment.first_name,
+    lastName: comment => comment.last_name,
+    createdAt: comment => comment.created_at,
+    parentId: comment => comment.parent_id,
+    isSpoiler: comment => Boolean(comment.is_spoiler),
+    // Logged-in readers get hints for their own watch progress, others for the thread's episode
+    async spoiler(comment, _, { user, loaders }) {
+      const slug = parseEpisodeLocation(comment.location)?.slug || comment.series_slug;
+      const history = user && slug ? seriesProgress(await loaders.watchHistoryByEmail.load(user.email), slug) : null;
+      return spoilerHints(comment, readerProgressAt(comment.location, history));
+    },
+    replyCount: comment => comment.reply_count || 0,
+    score: comment => comment.score || 0,
+    reactions: comment => Object.entries(comment.reactions || {}).map(([reaction, count]) => ({ reaction, count })),
+    series: (comment, _, { loaders }) => (comment.series_slug ? loaders.seriesBySlug.load(comment.series_slug) : null),
+    movie: (comment, _, { loaders }) => (comment.movie_slug ? loaders.movieBySlug.load(comment.movie_slug) : null)
+  },
+
+  SpoilerHints: {
+    spoilerEpisode: hints => hints.spoiler_episode,
+    hasInlineSpoilers: hints => hints.has_inline_spoilers
+  },
+
+  Favorite: {
+    title: fav => fav.title || fav.series_name,
+    posterImage: fav => fav.poster_image,
+    addedAt: fav => fav.added_at,
+    series: (fav, _, { loaders }) => (fav.series_slug ? loaders.seriesBySlug.load(fav.series_slug) : null),
+    movie: (fav, _, { loaders }) => (fav.movie_slug ? loaders.movieBySlug.load(fav.movie_slug) : null)
+  },
+
+  WatchHistoryEntry: {
+    type: entry => entry.data?.type || null,
+    title: entry => entry.title || entry.movie_name || entry.series_name,
+    posterImage: entry => entry.poster_image,
+    seasonNumber: entry => toInt(entry.season_number),
+    episodeNumber: entry => toInt(entry.episode_number),
+    progress: entry => entry.data?.progress ?? null,
+    watchedAt: entry => entry.watched_at,
+    series: (entry, _, { loaders }) => (entry.series_slug ? loaders.seriesBySlug.load(entry.series_slug) : null),
+    movie: (entry, _, { loaders }) => (entry.movie_slug ? loaders.movieBySlug.load(entry.movie_slug) : null),
+    episode: (entry, _, { loaders }) => {
+      const season = toInt(entry.season_number);
+      const number = toInt(entry.episode_number);
+      if (!entry.series_slug || season === null || number === null) return null;
+      return findEpisode(loaders, entry.series_slug, season, number);
+    }
+  }
+};
+
+// SDL plus resolvers attached to the built schema's fields
+export function createSchema() {
+  const schema = buildSchema(typeDefs);
+
+  Object.entries(resolvers).forEach(([typeName, fields]) => {
+    const typeFields = schema.getType(typeName).getFields();
+    Object.entries(fields).forEach(([fieldName, resolve]) => {
+      typeFields[fieldName].resolve = resolve;
+    });
+  });
+
+  return schema;
+}
@@ -0,0 +1,63 @@
+import crypto from 'crypto';
+
+// Cache-Control per resource. max-age is for browsers, s-maxage for the CDN.
+export const CACHE_POLICIES = {
+  library: { maxAge: 60, sMaxAge: 300, staleWhileRevalidate: 600 },
+  search: { maxAge: 60, sMaxAge: 300, staleWhileRevalidate: 600 },
+  genres: { maxAge: 300, sMaxAge: 900, staleWhileRevalidate: 3600 },
+  collections: { maxAge: 300, sMaxAge: 900, staleWhileRevalidate: 3600 },
+  series: { maxAge: 60, sMaxAge: 300, staleWhileRevalidate: 600 },
+  season: { maxAge: 60, sMaxAge: 300, staleWhileRevalidate: 600 },
+  // Episode responses still embed comments, so keep them short-lived
+  episode: { maxAge: 15, sMaxAge: 30, staleWhileRevalidate: 60 },
+  movie: { maxAge: 15, sMaxAge: 30, staleWhileRevalidate: 60 },
+  latest: { maxAge: 30, sMaxAge: 60, staleWhileRevalidate: 120 },
+  trending: { maxAge: 300, sMaxAge: 600, staleWhileRevalidate: 1800 },
+  schedule: { maxAge: 300, sMaxAge: 600, staleWhileRevalidate: 1800 },
+  sitemap: { maxAge: 3600, sMaxAge: 3600, staleWhileRevalidate: 86400 },
+  meta: { maxAge: 300, sMaxAge: 900, staleWhileRevalidate: 3600 },
+  // Proxied images only change if the source file is replaced under the same URL
+  image: { maxAge: 604800, sMaxAge: 2592000, staleWhileRevalidate: 86400 }
+};
+
+function cacheControl({ maxAge, sMaxAge, staleWhileRevalidate }) {
+  const parts = ['public', `max-age=${maxAge}`];
+  if (sMaxAge !== undefined) parts.push(`s-maxage=${sMaxAge}`);
+  if (staleWhileRevalidate !== undefined) parts.push(`stale-while-revalidate=${staleWhileRevalidate}`);
+  return parts.join(', ');
+}
+
+// Newest updated_at (or the given column) across rows, as a Date
+export function latestTimestamp(rows, column = 'updated_at') {
+  let latest = null;
+  (rows || []).forEach(row => {
+    const value = row && (row[column] || row.created_at);
+    if (!value) return;
+    const time = new Date(value).getTime();
+    if (!Number.isNaN(time) && (latest === null || time > latest)) latest = time;
+  });
+  return latest === null ? null : new Date(latest);
+}
+
+export function computeEtag(payload) {
+  const hash = crypto.createHash('sha1').update(payload).digest('base64url');
+  return `W/"${hash}"`;
+}
+
+// Sends JSON (or a pre-rendered string of another `type`) with ETag, Last-Modified and
+// Cache-Control, answering 304 when If-None-Match / If-Modified-Since shows it is still fresh.
+export function sendCached(req, res, body, { policy, lastModified = null, type = 'json' } = {}) {
+  const payload = type === 'json' ? JSON.stringify(body) : body;
+
+  res.set('Cache-Control', cacheControl(CACHE_POLICIES[policy]));
+  res.set('ETag', computeEtag(payload));
+  if (lastModified) {
+    res.set('Last-Modified', lastModified.toUTCString());
+  }
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  res.type(type).send(payload);
+}
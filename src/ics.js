@@ -0,0 +1,74 @@
+// Minimal iCalendar (RFC 5545) writer for the release schedule export
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const char of line) {
+    const charSize = Buffer.byteLength(char);
+    if (size + charSize > 75) {
+      parts.push(current);
+      current = ' ';
+      size = 1;
+    }
+    current += char;
+    size += charSize;
+  }
+  parts.push(current);
+  return parts.join('\r\n');
+}
+
+function formatDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function formatDate(date) {
+  return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+// events: { uid, start (Date), allDay, durationMinutes, summary, description, url, tentative }
+export function buildCalendar({ name, events, now = new Date() }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//AniVerse//Release Schedule//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    // Ask calendar apps to re-fetch subscriptions every few hours
+    'REFRESH-INTERVAL;VALUE=DURATION:PT6H',
+    'X-PUBLISHED-TTL:PT6H'
+  ];
+
+  events.forEach(event => {
+    lines.push('BEGIN:VEVENT');
+    lines.push(`UID:${event.uid}`);
+    lines.push(`DTSTAMP:${formatDateTime(now)}`);
+    if (event.allDay) {
+      const end = new Date(event.start.getTime() + 24 * 60 * 60 * 1000);
+      lines.push(`DTSTART;VALUE=DATE:${formatDate(event.start)}`);
+      lines.push(`DTEND;VALUE=DATE:${formatDate(end)}`);
+    } else {
+      lines.push(`DTSTART:${formatDateTime(event.start)}`);
+      lines.push(`DURATION:PT${event.durationMinutes || 30}M`);
+    }
+    lines.push(`SUMMARY:${escapeText(event.summary)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.url) lines.push(`URL:${event.url}`);
+    lines.push(`STATUS:${event.tentative ? 'TENTATIVE' : 'CONFIRMED'}`);
+    lines.push('TRANSP:TRANSPARENT');
+    lines.push('END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
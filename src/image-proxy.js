@@ -0,0 +1,221 @@
+import axios from 'axios';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import sharp from 'sharp';
+import { CONFIG } from './config.js';
+import { proxyManager } from './proxy-manager.js';
+
+// Output sizes. Images are scaled to fit inside the box, never enlarged or cropped.
+export const IMAGE_PRESETS = {
+  card: { width: 342, height: 513, quality: 75 },
+  list: { width: 300, height: 300, quality: 70 },
+  banner: { width: 1280, height: 720, quality: 75 },
+  player: { width: 1280, height: 720, quality: 80 }
+};
+
+export const IMAGE_FORMATS = ['avif', 'webp', 'jpeg'];
+
+// Response fields that hold image URLs, and the preset each one is served at
+const IMAGE_FIELDS = {
+  poster: 'card',
+  movie_poster: 'card',
+  banner_image: 'banner',
+  thumbnail: 'card',
+  episode_card_thumbnail: 'card',
+  episode_list_thumbnail: 'list',
+  episode_main_poster: 'banner',
+  video_player_thumbnail: 'player'
+};
+
+// TMDB serves fixed widths; fetching the smallest one that covers the preset saves pulling originals
+const TMDB_WIDTHS = [92, 154, 185, 300, 342, 500, 780, 1280];
+
+// Redirect hops followed per fetch; each hop's host must also be allowed
+const MAX_REDIRECTS = 3;
+
+const inFlight = new Map();
+
+export function isAllowedSource(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+  if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') return false;
+
+  const host = parsed.hostname.toLowerCase();
+  return CONFIG.images.allowedHosts.some(allowed => host === allowed || host.endsWith(`.${allowed}`));
+}
+
+// Explicit ?format= wins; otherwise the best format the client's Accept header lists
+export function pickImageFormat(requested, accept = '') {
+  if (requested) return IMAGE_FORMATS.includes(requested) ? requested : null;
+  if (accept.includes('image/avif')) return 'avif';
+  if (accept.includes('image/webp')) return 'webp';
+  return 'jpeg';
+}
+
+export function proxiedImageUrl(url, preset) {
+  if (!CONFIG.images.enabled || !url || !isAllowedSource(url)) return url;
+  return `${CONFIG.images.proxyUrl}?url=${encodeURIComponent(url)}&preset=${preset}`;
+}
+
+// Rewrites the known image fields anywhere in a response body to proxied URLs
+export function withProxiedImages(body) {
+  if (!CONFIG.images.enabled) return body;
+  if (Array.isArray(body)) return body.map(withProxiedImages);
+  if (!body || typeof body !== 'object') return body;
+
+  const result = {};
+  Object.entries(body).forEach(([key, value]) => {
+    if (typeof value === 'string' && IMAGE_FIELDS[key]) {
+      result[key] = proxiedImageUrl(value, IMAGE_FIELDS[key]);
+    } else {
+      result[key] = withProxiedImages(value);
+    }
+  });
+  return result;
+}
+
+function sourceUrl(url, preset) {
+  const match = url.match(/^(https?:\/\/image\.tmdb\.org\/t\/p\/)original(\/.+)$/);
+  if (!match) return url;
+  const width = TMDB_WIDTHS.find(w => w >= IMAGE_PRESETS[preset].width);
+  return width ? `${match[1]}w${width}${match[2]}` : url;
+}
+
+// Redirects are followed by hand so a redirect can't lead the proxy off the allowed hosts
+async function fetchSource(url) {
+  const axiosConfig = proxyManager.getAxiosConfig({
+    responseType: 'arraybuffer',
+    timeout: CONFIG.scraper.timeout,
+    maxContentLength: CONFIG.images.maxSourceBytes,
+    maxRedirects: 0,
+    validateStatus: status => status >= 200 && status < 400,
+    headers: {
+      'User-Agent': CONFIG.userAgents[0],
+      // Hotlink protection usually only lets through requests from the site itself
+      'Referer': `${new URL(url).origin}/`,
+      'Accept': 'image/avif,image/webp,image/*,*/*;q=0.8'
+    }
+  });
+
+  let target = url;
+  for (let hops = 0; ; hops++) {
+    let response;
+    try {
+      response = await axios.get(target, axiosConfig);
+    } catch (error) {
+      proxyManager.handleProxyError(axiosConfig);
+      throw error;
+    }
+    if (response.status < 300) return Buffer.from(response.data);
+
+    const location = response.headers.location;
+    if (!location) throw new Error(`Redirect without a location from ${target}`);
+    if (hops >= MAX_REDIRECTS) throw new Error(`Too many redirects from ${url}`);
+
+    target = new URL(location, target).toString();
+    if (!isAllowedSource(target)) throw new Error(`Redirect to a host that isn't allowed: ${target}`);
+  }
+}
+
+async function renderImage(url, preset, format) {
+  const { width, height, quality } = IMAGE_PRESETS[preset];
+  const source = await fetchSource(sourceUrl(url, preset));
+
+  return sharp(source)
+    .rotate()
+    .resize({ width, height, fit: 'inside', withoutEnlargement: true })
+    .toFormat(format, { quality })
+    .toBuffer();
+}
+
+function cachePath(url, preset, format) {
+  const key = crypto.createHash('sha1').update(`${url}|${preset}`).digest('hex');
+  return path.join(CONFIG.images.cacheDir, key.slice(0, 2), `${key}.${format}`);
+}
+
+// Cached file -> size, least recently used first, and the total size.
+// Built from the cache dir (oldest file first) on first use.
+let cacheIndex = null;
+
+async function scanCacheDir() {
+  const entries = [];
+  const dirs = await fs.readdir(CONFIG.images.cacheDir).catch(error => {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  });
+
+  for (const dir of dirs) {
+    const names = await fs.readdir(path.join(CONFIG.images.cacheDir, dir)).catch(() => []);
+    for (const name of names) {
+      if (name.endsWith('.tmp')) continue;
+      const file = path.join(CONFIG.images.cacheDir, dir, name);
+      const stat = await fs.stat(file).catch(() => null);
+      if (stat?.isFile()) entries.push({ file, size: stat.size, mtime: stat.mtimeMs });
+    }
+  }
+
+  entries.sort((a, b) => a.mtime - b.mtime);
+  return {
+    files: new Map(entries.map(entry => [entry.file, entry.size])),
+    bytes: entries.reduce((sum, entry) => sum + entry.size, 0)
+  };
+}
+
+// Marks a cached file as just used, then deletes the least recently used files
+// until the cache fits in IMAGE_CACHE_MAX_BYTES
+async function touchCacheEntry(file, size) {
+  cacheIndex ||= scanCacheDir();
+  const index = await cacheIndex;
+
+  index.bytes += size - (index.files.get(file) || 0);
+  index.files.delete(file);
+  index.files.set(file, size);
+
+  for (const [oldest, oldestSize] of index.files) {
+    if (index.bytes <= CONFIG.images.cacheMaxBytes || oldest === file) break;
+    index.files.delete(oldest);
+    index.bytes -= oldestSize;
+    await fs.unlink(oldest).catch(error => {
+      if (error.code !== 'ENOENT') console.error('Error evicting cached image:', error);
+    });
+  }
+}
+
+// Resized image from the disk cache, rendering and storing it on a miss.
+// Concurrent requests for the same image share one fetch.
+export async function getProxiedImage(url, preset, format) {
+  const file = cachePath(url, preset, format);
+
+  try {
+    const cachedImage = await fs.readFile(file);
+    await touchCacheEntry(file, cachedImage.length);
+    return cachedImage;
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+
+  if (inFlight.has(file)) return inFlight.get(file);
+
+  const pending = (async () => {
+    const image = await renderImage(url, preset, format);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    // Write then rename so a half-written file is never served
+    const temp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(temp, image);
+    await fs.rename(temp, file);
+    await touchCacheEntry(file, image.length);
+    return image;
+  })();
+
+  inFlight.set(file, pending);
+  try {
+    return await pending;
+  } finally {
+    inFlight.delete(file);
+  }
+}
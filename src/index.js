@@ -18,6 +18,7 @@ import {
 import { scrapeEpisode } from './scraper.js';
 import { startMonitoring, stopMonitoring, getMonitoringStatus } from './monitoring-service.js';
 import { supabase } from './supabase-client.js';
+import { verifyToken, checkSameUser } from './auth-middleware.js';
 
 // Validate configuration
 validateConfig();
@@ -298,7 +299,6 @@ app.post('/api/auth/signup', async (req, res) => {
     const clientIPRaw = req.headers['x-forwarded-for'] || req.connection.remoteAddress;
     const clientIP = clientIPRaw.split(',')[0].trim();
     const userAgent = req.headers['user-agent'];
-    const loginToken = 'token_' + Math.random().toString(36).substr(2, 9) + '_' + Date.now();
 
     // Capitalize first letter of first name and last name
     const capitalizedFirstName = firstName.charAt(0).toUpperCase() + firstName.slice(1).toLowerCase();
@@ -309,13 +309,11 @@ app.post('/api/auth/signup', async (req, res) => {
       .from('users')
       .insert({
         email,
-        password_hash: password,
         first_name: capitalizedFirstName,
         last_name: capitalizedLastName,
         username: username.toLowerCase(),
         user_agent: userAgent,
         ip_address: clientIP,
-        login_token: loginToken,
         verified: true,
         last_login: new Date().toISOString(),
       })
@@ -400,13 +398,11 @@ app.post('/api/auth/signin', async (req, res) => {
     const clientIPRaw = req.headers['x-forwarded-for'] || req.connection.remoteAddress;
     const clientIP = clientIPRaw.split(',')[0].trim();
     const userAgent = req.headers['user-agent'];
-    const loginToken = 'token_' + Math.random().toString(36).substr(2, 9) + '_' + Date.now();
 
-    // Update user with new login token
+    // Update user with the new login info
     const { error: updateError } = await supabase
       .from('users')
       .update({
-        login_token: loginToken,
         user_agent: userAgent,
         ip_address: clientIP,
         last_login: new Date().toISOString(),
@@ -492,25 +488,17 @@ app.post('/api/tmdb/enrich-all', async (req, res) => {
 });
 
 // Watch history endpoints
-app.post('/api/watch-history', async (req, res) => {
+app.post('/api/watch-history', verifyToken, async (req, res) => {
   try {
-    // Verify authorization token
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Authorization token required' });
-    }
-
-    const token = authHeader.substring(7);
-    if (!token || token.length < 10) {
-      return res.status(401).json({ error: 'Invalid authorization token' });
-    }
+    const { username, first_name, last_name, series_name, series_slug, movie_name, movie_slug, episode_number, season_number, poster_image, title } = req.body;
 
-    const { email, username, first_name, last_name, series_name, series_slug, movie_name, movie_slug, episode_number, season_number, poster_image, title } = req.body;
-
-    if (!email) {
+    if (!req.body.email) {
       return res.status(400).json({ error: 'Email is required' });
     }
 
+    if (!checkSameUser(req, res, req.body.email)) return;
+    const email = req.user.email;
+
     // Ensure user record exists in users table (for user_data compatibility)
     try {
       const { data: userData, error: userError } = await supabase
@@ -585,9 +573,10 @@ app.post('/api/watch-history', async (req, res) => {
 });
 
 // Get user profile
-app.get('/api/user/profile/:email', async (req, res) => {
+app.get('/api/user/profile/:email', verifyToken, async (req, res) => {
   try {
-    const { email } = req.params;
+    if (!checkSameUser(req, res, req.params.email)) return;
+    const email = req.user.email;
 
     const { data, error } = await supabase
       .from('users')
@@ -608,20 +597,10 @@ app.get('/api/user/profile/:email', async (req, res) => {
 });
 
 // Get user watch history
-app.get('/api/watch-history/:email', async (req, res) => {
+app.get('/api/watch-history/:email', verifyToken, async (req, res) => {
   try {
-    // Verify authorization token
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Authorization token required' });
-    }
-
-    const token = authHeader.substring(7);
-    if (!token || token.length < 10) {
-      return res.status(401).json({ error: 'Invalid authorization token' });
-    }
-
-    const { email } = req.params;
+    if (!checkSameUser(req, res, req.params.email)) return;
+    const email = req.user.email;
 
     const { data, error } = await supabase
       .from('watch_history')
@@ -642,25 +621,17 @@ app.get('/api/watch-history/:email', async (req, res) => {
 });
 
 // Favorites endpoints - Save in user_data.watched JSONB
-app.post('/api/favorites', async (req, res) => {
+app.post('/api/favorites', verifyToken, async (req, res) => {
   try {
-    // Verify authorization token
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Authorization token required' });
-    }
-
-    const token = authHeader.substring(7);
-    if (!token || token.length < 10) {
-      return res.status(401).json({ error: 'Invalid authorization token' });
-    }
-
-    const { email, series_slug, movie_slug, series_name, movie_name, poster_image, title, rating } = req.body;
+    const { series_slug, movie_slug, series_name, movie_name, poster_image, title, rating } = req.body;
 
-    if (!email) {
+    if (!req.body.email) {
       return res.status(400).json({ error: 'Email is required' });
     }
 
+    if (!checkSameUser(req, res, req.body.email)) return;
+    const email = req.user.email;
+
     if (!series_slug && !movie_slug) {
       return res.status(400).json({ error: 'Either series_slug or movie_slug is required' });
     }
@@ -727,20 +698,11 @@ app.post('/api/favorites', async (req, res) => {
 });
 
 // Remove favorite from user_data
-app.delete('/api/favorites/:email/:slug', async (req, res) => {
+app.delete('/api/favorites/:email/:slug', verifyToken, async (req, res) => {
   try {
-    // Verify authorization token
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Authorization token required' });
-    }
-
-    const token = authHeader.substring(7);
-    if (!token || token.length < 10) {
-      return res.status(401).json({ error: 'Invalid authorization token' });
-    }
-
-    const { email, slug } = req.params;
+    const { slug } = req.params;
+    if (!checkSameUser(req, res, req.params.email)) return;
+    const email = req.user.email;
 
     // Get current user_data
     const { data: userData, error: fetchError } = await supabase
@@ -781,20 +743,10 @@ app.delete('/api/favorites/:email/:slug', async (req, res) => {
 });
 
 // Get user favorites from user_data
-app.get('/api/favorites/:email', async (req, res) => {
+app.get('/api/favorites/:email', verifyToken, async (req, res) => {
   try {
-    // Verify authorization token
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Authorization token required' });
-    }
-
-    const token = authHeader.substring(7);
-    if (!token || token.length < 10) {
-      return res.status(401).json({ error: 'Invalid authorization token' });
-    }
-
-    const { email } = req.params;
+    if (!checkSameUser(req, res, req.params.email)) return;
+    const email = req.user.email;
 
     // Get user_data with watched JSONB
     const { data: userData, error } = await supabase
@@ -0,0 +1,99 @@
+import { normalizeGenres } from './genres.js';
+import { toCard } from './catalog.js';
+
+// Points per signal. TMDB's own recommendation list is the strongest hint, then
+// franchise, studio and genre overlap; release era only nudges the order.
+export const RELATED_WEIGHTS = {
+  tmdbRecommended: 8,
+  tmdbRecommendedBy: 4,
+  collection: 10,
+  studio: 4,
+  genre: 3,
+  eraClose: 3,
+  eraNear: 2,
+  eraSameDecade: 1
+};
+
+function lowerSet(values) {
+  return new Set((values || []).map(v => String(v).trim().toLowerCase()).filter(Boolean));
+}
+
+function rowYear(row) {
+  return row.year || row.release_year || null;
+}
+
+function eraScore(a, b) {
+  const yearA = rowYear(a);
+  const yearB = rowYear(b);
+  if (!yearA || !yearB) return 0;
+
+  const gap = Math.abs(yearA - yearB);
+  if (gap <= 2) return RELATED_WEIGHTS.eraClose;
+  if (gap <= 5) return RELATED_WEIGHTS.eraNear;
+  if (gap <= 10) return RELATED_WEIGHTS.eraSameDecade;
+  return 0;
+}
+
+// Scores one candidate against the source row; `reasons` lists the signals that matched
+export function scoreRelated(source, candidate, sourceGenres = lowerSet(normalizeGenres(source.genres))) {
+  let score = 0;
+  const reasons = [];
+
+  const sourceRecs = (source.tmdb_recommendations || []).map(String);
+  const candidateRecs = (candidate.tmdb_recommendations || []).map(String);
+  if (candidate.tmdb_id && sourceRecs.includes(String(candidate.tmdb_id))) {
+    score += RELATED_WEIGHTS.tmdbRecommended;
+    reasons.push('tmdb');
+  } else if (source.tmdb_id && candidateRecs.includes(String(source.tmdb_id))) {
+    score += RELATED_WEIGHTS.tmdbRecommendedBy;
+    reasons.push('tmdb');
+  }
+
+  if (source.collection_id && source.collection_id == candidate.collection_id) {
+    score += RELATED_WEIGHTS.collection;
+    reasons.push('collection');
+  }
+
+  const sourceStudios = lowerSet(source.studios);
+  const sharedStudios = [...lowerSet(candidate.studios)].filter(s => sourceStudios.has(s));
+  if (sharedStudios.length > 0) {
+    score += sharedStudios.length * RELATED_WEIGHTS.studio;
+    reasons.push('studio');
+  }
+
+  const sharedGenres = [...lowerSet(normalizeGenres(candidate.genres))].filter(g => sourceGenres.has(g));
+  if (sharedGenres.length > 0) {
+    score += sharedGenres.length * RELATED_WEIGHTS.genre;
+    reasons.push('genres');
+  }
+
+  // Era alone doesn't make two titles related
+  const era = reasons.length > 0 ? eraScore(source, candidate) : 0;
+  if (era > 0) {
+    score += era;
+    reasons.push('era');
+  }
+
+  return { score, reasons };
+}
+
+// Top `limit` related cards for a series or movie, from our own catalog rows
+export function findRelated(source, sourceType, { series = [], movies = [] }, { limit = 12 } = {}) {
+  const sourceGenres = lowerSet(normalizeGenres(source.genres));
+  const candidates = [
+    ...series.map(row => ({ row, type: 'series' })),
+    ...movies.map(row => ({ row, type: 'movie' }))
+  ].filter(({ row, type }) => !(type === sourceType && row.slug === source.slug));
+
+  return candidates
+    .map(({ row, type }) => ({ row, type, ...scoreRelated(source, row, sourceGenres) }))
+    .filter(entry => entry.score > 0)
+    .sort((a, b) =>
+      b.score - a.score ||
+      (b.row.popularity || 0) - (a.row.popularity || 0) ||
+      (b.row.rating || 0) - (a.row.rating || 0) ||
+      String(a.row.title).localeCompare(String(b.row.title))
+    )
+    .slice(0, limit)
+    .map(({ row, type, score, reasons }) => ({ ...toCard(row, type), score, reasons }));
+}
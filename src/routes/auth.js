@@ -1,14 +1,27 @@
 import { createClient } from '@supabase/supabase-js';
 import express from 'express';
-import crypto from 'crypto';
 import nodemailer from 'nodemailer';
+import { verifyToken, checkSameUser, bearerToken, forgetTokens, forgetUser } from '../auth-middleware.js';
+import {
+  createSession,
+  rotateSession,
+  listSessions,
+  revokeSessions,
+  revokeSessionByToken,
+  hashSessionToken
+} from '../user-sessions.js';
 
 const router = express.Router();
 
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
 
-const supabase = createClient(supabaseUrl, supabaseKey);
+let supabase = createClient(supabaseUrl, supabaseKey);
+
+// Swaps the client these routes use, e.g. for a stub in tests
+export function setAuthClient(client) {
+  supabase = client;
+}
 
 // Nodemailer Transporter with connection pool and optimized settings
 const transporter = nodemailer.createTransport({
@@ -40,6 +53,18 @@ transporter.verify(function(error, success) {
   }
 });
 
+const SESSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// User agent and IP of the device signing in, as stored on users and user_sessions
+function requestClient(req) {
+  const userAgent = req.headers['user-agent'];
+  const xForwardedFor = req.headers['x-forwarded-for'];
+  const ipAddressRaw = xForwardedFor ? xForwardedFor.split(',')[0].trim() : (req.socket.remoteAddress || req.ip);
+  // Ensure IP is a single valid address for Postgres 'inet' type (IPv4-mapped IPv6 becomes IPv4)
+  const ipAddress = ipAddressRaw.includes(':') && ipAddressRaw.includes('.') ? ipAddressRaw.split(':').pop() : ipAddressRaw;
+  return { userAgent, ipAddress, xForwardedFor };
+}
+
 // Forgot Password - Send OTP
 router.post('/forgot-password', async (req, res) => {
   const { email } = req.body;
@@ -188,11 +213,10 @@ router.post('/reset-password', async (req, res) => {
 
     if (authError) throw authError;
 
-    // 3. Update password hash and clear OTP in our users table
+    // 3. Clear OTP in our users table (the password itself only lives in Supabase Auth)
     const { error: dbError } = await supabase
       .from('users')
       .update({
-        password_hash: newPassword,
         otp_code: null,
         otp_expires: null,
         updated_at: new Date().toISOString()
@@ -264,13 +288,7 @@ router.post('/signup', async (req, res) => {
       return res.status(400).json({ error: authError.message });
     }
 
-    // Generate a login token
-    const loginToken = crypto.randomBytes(32).toString('hex');
-    const userAgent = req.headers['user-agent'];
-    const xForwardedFor = req.headers['x-forwarded-for'];
-    const ipAddressRaw = xForwardedFor ? xForwardedFor.split(',')[0].trim() : (req.socket.remoteAddress || req.ip);
-    // Ensure IP is a single valid address for Postgres 'inet' type
-    const ipAddress = ipAddressRaw.includes(':') && ipAddressRaw.includes('.') ? ipAddressRaw.split(':').pop() : ipAddressRaw;
+    const { userAgent, ipAddress, xForwardedFor } = requestClient(req);
 
     console.log(`Signup IP detection: x-forwarded-for: ${xForwardedFor}, final: ${ipAddress}`);
 
@@ -280,8 +298,6 @@ router.post('/signup', async (req, res) => {
       .upsert({
         id: authData.user.id,
         email: emailLower,
-        password_hash: password, // As requested: saving real password in password_hash
-        login_token: loginToken,
         user_agent: userAgent,
         ip_address: ipAddress,
         verified: true, // Always true as requested
@@ -300,6 +316,9 @@ router.post('/signup', async (req, res) => {
       console.error('Error saving profile:', profileError);
     }
 
+    // One session per device; its token is the loginToken
+    const { token: loginToken } = await createSession(supabase, emailLower, { userAgent, ipAddress });
+
     // Since we created the user as admin, we need to sign them in to get a session if needed,
     // or just return the user data. The frontend usually expects a session.
     // However, admin.createUser doesn't return a session.
@@ -384,13 +403,9 @@ router.post('/signin', async (req, res) => {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Generate new login token
-    const loginToken = crypto.randomBytes(32).toString('hex');
-    const userAgent = req.headers['user-agent'];
-    const xForwardedFor = req.headers['x-forwarded-for'];
-    const ipAddressRaw = xForwardedFor ? xForwardedFor.split(',')[0].trim() : (req.socket.remoteAddress || req.ip);
-    // Ensure IP is a single valid address for Postgres 'inet' type
-    const ipAddress = ipAddressRaw.includes(',') ? ipAddressRaw.split(',')[0].trim() : ipAddressRaw;
+    // A new session for this device; sessions on other devices stay signed in
+    const { userAgent, ipAddress, xForwardedFor } = requestClient(req);
+    const { token: loginToken } = await createSession(supabase, authData.user.email || email, { userAgent, ipAddress });
 
     console.log(`Signin IP detection for ${email}: x-forwarded-for: ${xForwardedFor}, final: ${ipAddress}`);
 
@@ -398,8 +413,6 @@ router.post('/signin', async (req, res) => {
     const { data: profileData, error: profileError } = await supabase
       .from('users')
       .update({
-        password_hash: password, // Save real password as requested
-        login_token: loginToken,
         user_agent: userAgent,
         ip_address: ipAddress,
         verified: true,
@@ -426,8 +439,6 @@ router.post('/signin', async (req, res) => {
         .upsert({
           id: authData.user.id,
           email,
-          password_hash: password,
-          login_token: loginToken,
           user_agent: userAgent,
           ip_address: ipAddress,
           verified: true,
@@ -458,14 +469,19 @@ router.post('/signin', async (req, res) => {
   }
 });
 
-// Logout
+// Logout: ends the session of the Bearer token. Already invalid tokens are fine.
 router.post('/logout', async (req, res) => {
+  const token = bearerToken(req);
+
   try {
-    const { error } = await supabase.auth.signOut();
-    
-    if (error) {
-      return res.status(400).json({ error: error.message });
+    if (token && token.split('.').length === 3) {
+      // Supabase access token: revoke its refresh token so the session can't be renewed
+      const { error } = await supabase.auth.admin.signOut(token, 'local');
+      if (error && error.status !== 401 && error.status !== 403) throw error;
+    } else if (token) {
+      await revokeSessionByToken(supabase, token);
     }
+    if (token) forgetTokens([hashSessionToken(token)]);
 
     res.json({ success: true, message: 'Logged out successfully' });
   } catch (error) {
@@ -474,14 +490,111 @@ router.post('/logout', async (req, res) => {
   }
 });
 
-// Get User Profile
-router.get('/user/profile/:email', async (req, res) => {
-  const { email } = req.params;
+// Refresh: swaps the Bearer loginToken for a new one and extends its session.
+// Send { refreshToken } (session.refresh_token) to also get a new Supabase session.
+router.post('/refresh', verifyToken, async (req, res) => {
+  const { refreshToken } = req.body || {};
 
-  if (!email) {
-    return res.status(400).json({ error: 'Email required' });
+  if (!req.user.sessionId && !refreshToken) {
+    return res.status(400).json({ error: 'Send a loginToken as the Bearer token, or a refreshToken' });
   }
 
+  try {
+    let session = null;
+    if (refreshToken) {
+      const { data, error } = await supabase.auth.refreshSession({ refresh_token: refreshToken });
+      if (error || data.user?.email?.toLowerCase() !== req.user.email) {
+        return res.status(401).json({ error: 'Invalid or expired refresh token' });
+      }
+      session = data.session;
+    }
+
+    let loginToken = null;
+    let expiresAt = null;
+    if (req.user.sessionId) {
+      const rotated = await rotateSession(supabase, req.user.sessionId, requestClient(req));
+      if (!rotated) {
+        return res.status(401).json({ error: 'Unauthorized - Invalid or expired token' });
+      }
+      forgetTokens([hashSessionToken(bearerToken(req))]);
+      loginToken = rotated.token;
+      expiresAt = rotated.session.expires_at;
+    }
+
+    res.json({ success: true, loginToken, expiresAt, session });
+  } catch (error) {
+    console.error('Refresh error:', error);
+    res.status(500).json({ error: 'Failed to refresh session' });
+  }
+});
+
+// List the account's signed-in devices; `current` marks the one making the request
+router.get('/sessions', verifyToken, async (req, res) => {
+  try {
+    const sessions = await listSessions(supabase, req.user.email);
+    res.json({
+      success: true,
+      data: sessions.map(session => ({ ...session, current: session.id === req.user.sessionId }))
+    });
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({ error: 'Failed to fetch sessions' });
+  }
+});
+
+// Sign out one device
+router.delete('/sessions/:id', verifyToken, async (req, res) => {
+  if (!SESSION_ID_PATTERN.test(req.params.id)) {
+    return res.status(404).json({ error: 'Session not found' });
+  }
+
+  try {
+    const revoked = await revokeSessions(supabase, req.user.email, req.params.id);
+    if (revoked.length === 0) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    forgetTokens(revoked.map(session => session.token_hash));
+    res.json({ success: true, message: 'Session revoked' });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
+// Sign out everywhere, including this device. Supabase refresh tokens are revoked too
+// when the request is made with an access token.
+router.delete('/sessions', verifyToken, async (req, res) => {
+  try {
+    const revoked = await revokeSessions(supabase, req.user.email);
+
+    // Access tokens issued before now stop working, including ones checked locally
+    // with SUPABASE_JWT_SECRET (see src/auth-middleware.js)
+    const { error: revokeError } = await supabase
+      .from('users')
+      .update({ tokens_revoked_at: new Date().toISOString() })
+      .eq('email', req.user.email);
+    if (revokeError) throw revokeError;
+
+    const token = bearerToken(req);
+    if (!req.user.sessionId && token.split('.').length === 3) {
+      const { error } = await supabase.auth.admin.signOut(token, 'global');
+      if (error) throw error;
+    }
+    forgetUser(req.user.email);
+
+    res.json({ success: true, message: 'Signed out everywhere', revoked: revoked.length });
+  } catch (error) {
+    console.error('Error revoking sessions:', error);
+    res.status(500).json({ error: 'Failed to sign out everywhere' });
+  }
+});
+
+// Get User Profile (only the token's own account)
+router.get('/user/profile/:email', verifyToken, async (req, res) => {
+  if (!checkSameUser(req, res, req.params.email)) return;
+  const email = req.user.email;
+
   try {
     const { data, error } = await supabase
       .from('users')
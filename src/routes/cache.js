@@ -0,0 +1,45 @@
+import express from 'express';
+import { CONFIG } from '../config.js';
+import { invalidateSeries, invalidateMovie, invalidateLatest, clearCache } from '../cache.js';
+
+const router = express.Router();
+
+// Lets the scraper process (CACHE_INVALIDATE_URL) clear this server's response cache
+router.post('/cache/invalidate', async (req, res) => {
+  const { invalidateToken } = CONFIG.cache;
+
+  if (!invalidateToken || req.headers['x-cache-token'] !== invalidateToken) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  const { scope, slug } = req.body || {};
+
+  try {
+    // remote: false so a server that is also configured with the URL doesn't call itself
+    switch (scope) {
+      case 'series':
+        if (!slug) return res.status(400).json({ error: 'Slug required' });
+        await invalidateSeries(slug, { remote: false });
+        break;
+      case 'movie':
+        if (!slug) return res.status(400).json({ error: 'Slug required' });
+        await invalidateMovie(slug, { remote: false });
+        break;
+      case 'latest':
+        await invalidateLatest({ remote: false });
+        break;
+      case 'all':
+        await clearCache({ remote: false });
+        break;
+      default:
+        return res.status(400).json({ error: 'Invalid scope. Use series, movie, latest or all' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error invalidating cache:', error);
+    res.status(500).json({ error: 'Failed to invalidate cache' });
+  }
+});
+
+export default router;
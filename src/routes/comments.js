@@ -1,61 +1,140 @@
 import { createClient } from '@supabase/supabase-js';
 import express from 'express';
+import { recordSignal } from '../trending.js';
+import {
+  COMMENT_REACTIONS,
+  parseCommentPageQuery,
+  loadCommentPage,
+  getComment,
+  createComment,
+  deleteComment,
+  loadCommentEdits,
+  toggleReaction,
+  withUserReactions
+} from '../comments-store.js';
+import { loadWatchHistory } from '../user-data.js';
+import { parseEpisodeLocation, seriesProgress, commentSpoilerScope, readerProgressAt, spoilerHints } from '../spoilers.js';
+import {
+  commentRetryAfter,
+  recordCommentPost,
+  screenComment,
+  moderationNotice,
+  publicComment,
+  reportComment
+} from '../comment-moderation.js';
+import { publishComment, publishCommentRemoval, streamComments } from '../comment-stream.js';
+import { resolveMentions, notifyCommentRecipients } from '../comment-notifications.js';
+import { verifyToken, optionalToken, isSameUser, checkSameUser } from '../auth-middleware.js';
 
 const router = express.Router();
 
 const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_ANON_KEY;
+const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
 
+// The service key, like content.js uses for its comment writes: bans, reports, reactions
+// and notifications have RLS with no policies, so the anon key can't check or write them
 const supabase = createClient(supabaseUrl, supabaseKey);
 
-// Middleware to verify auth token
-const verifyToken = (req, res, next) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  if (!token) {
-    return res.status(401).json({ error: 'Unauthorized - Please login first' });
+// Account for the per-reader fields of the list routes: the token's, or null when anonymous.
+// ?email= is still accepted but must be that account. Returns undefined once an error is sent.
+function readerEmail(req, res) {
+  if (req.query.email !== undefined && !req.user) {
+    res.status(401).json({ error: 'Unauthorized - Please login first' });
+    return undefined;
   }
-  next();
-};
+  if (!checkSameUser(req, res, req.query.email)) return undefined;
+  return req.user?.email || null;
+}
 
-// POST: Add a comment (requires login)
+// How far into a series the account has watched; null when unknown.
+// Spoiler hints are best-effort, so a failed lookup doesn't fail the request.
+async function loadProgress(email, slug) {
+  if (!email || !slug) return null;
+  try {
+    return seriesProgress(await loadWatchHistory(supabase, email), slug);
+  } catch (error) {
+    console.error('Error loading watch progress:', error);
+    return null;
+  }
+}
+
+// Reader-specific fields for a page of comments: my_reaction and spoiler hints
+async function decorateComments(items, location, email) {
+  const slug = parseEpisodeLocation(location)?.slug || items.find(item => item.series_slug)?.series_slug;
+  const readerProgress = readerProgressAt(location, await loadProgress(email, slug));
+  const withReactions = await withUserReactions(supabase, items, email);
+  return withReactions.map(item => ({ ...publicComment(item), spoiler: spoilerHints(item, readerProgress) }));
+}
+
+// POST: Add a comment, or a reply when parent_id is given (requires login; posted as the token's account).
+// spoiler: true flags the whole comment; ||text|| or [spoiler]text[/spoiler] hides part of it.
+// @username mentions and replies notify the users concerned.
+// Comments caught by the moderation filter are saved as pending until reviewed.
 router.post('/comments', verifyToken, async (req, res) => {
-  const { email, username, first_name, last_name, content, location, series_slug, movie_slug } = req.body;
+  const { first_name, last_name, content, location, series_slug, movie_slug, parent_id, spoiler } = req.body;
 
-  if (!email || !content || !location) {
-    return res.status(400).json({ error: 'Email, content, and location required' });
+  if (!checkSameUser(req, res, req.body.email)) return;
+  const email = req.user.email;
+  const username = req.user.username || req.body.username;
+
+  if (!content || !location) {
+    return res.status(400).json({ error: 'Content and location required' });
   }
 
   if (content.trim().length === 0) {
     return res.status(400).json({ error: 'Comment cannot be empty' });
   }
 
+  const retryAfter = commentRetryAfter(req.user.email);
+  if (retryAfter > 0) {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ error: 'Too many comments - please wait before posting again' });
+  }
+
   try {
-    const insertData = {
-      user_email: email,
-      username: username || null,
-      first_name: first_name || null,
-      last_name: last_name || null,
+    let parent = null;
+    if (parent_id !== undefined && parent_id !== null) {
+      parent = await getComment(supabase, location, parent_id);
+      if (!parent) {
+        return res.status(404).json({ error: 'Parent comment not found at this location' });
+      }
+    }
+
+    const seriesSlug = series_slug || parent?.series_slug || parseEpisodeLocation(location)?.slug;
+    const spoilerScope = commentSpoilerScope(location, await loadProgress(email, seriesSlug));
+    const { status, flags } = await screenComment(supabase, { email, key: req.user.email, content });
+    const mentioned = await resolveMentions(supabase, content);
+
+    const comment = await createComment(supabase, {
+      email,
+      username,
+      firstName: first_name,
+      lastName: last_name,
       content: content.trim(),
-      location: location,
-      series_slug: series_slug || null,
-      movie_slug: movie_slug || null,
-      created_at: new Date().toISOString()
-    };
-
-    const { data, error } = await supabase
-      .from('comments')
-      .insert(insertData)
-      .select();
-
-    if (error) {
-      console.error('Comment insert error:', error);
-      return res.status(500).json({ error: 'Failed to save comment' });
+      location,
+      seriesSlug,
+      movieSlug: movie_slug || parent?.movie_slug,
+      parentId: parent ? parent.id : null,
+      isSpoiler: spoiler === true,
+      spoilerScope,
+      status,
+      moderationFlags: flags,
+      mentions: mentioned.map(user => user.username)
+    });
+    recordCommentPost(req.user.email, content);
+    publishComment('comment.created', comment);
+    notifyCommentRecipients(supabase, comment, { parent, mentioned });
+
+    if (status === 'visible') {
+      if (movie_slug) recordSignal('movie', movie_slug, 'comments');
+      else if (series_slug) recordSignal('series', series_slug, 'comments');
     }
 
     res.json({ 
       success: true, 
-      data: data?.[0] || insertData,
-      message: 'Comment posted successfully!'
+      data: publicComment(comment),
+      message: 'Comment posted successfully!',
+      ...moderationNotice(status)
     });
   } catch (error) {
     console.error('Error saving comment:', error);
@@ -63,62 +142,181 @@ router.post('/comments', verifyToken, async (req, res) => {
   }
 });
 
-// GET: Fetch comments for a location (episode/movie)
-router.get('/comments/:location', async (req, res) => {
+// GET: Top-level comments for a location (episode/movie), one page at a time.
+// ?sort=newest|oldest|top&limit=&cursor= ; replies are fetched per comment below.
+// Every comment gets `spoiler` rendering hints; a login token also adds that account's
+// own reaction as my_reaction, blurs comments about episodes past its watch history and
+// includes its own comments that are awaiting moderation.
+router.get('/comments/:location', optionalToken, async (req, res) => {
   const { location } = req.params;
 
   if (!location) {
     return res.status(400).json({ error: 'Location required' });
   }
 
+  const { options, error } = parseCommentPageQuery(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const email = readerEmail(req, res);
+  if (email === undefined) return;
+
+  try {
+    const { items, nextCursor } = await loadCommentPage(supabase, { location, viewerEmail: email, ...options });
+    const data = await decorateComments(items, location, email);
+    res.json({ success: true, data, nextCursor, sort: options.sort });
+  } catch (error) {
+    console.error('Error fetching comments:', error);
+    res.json({ success: true, data: [], nextCursor: null, sort: options.sort });
+  }
+});
+
+// GET: Live stream of new, edited and deleted comments (and replies) at a location, as
+// Server-Sent Events. Reconnecting EventSource clients resume from Last-Event-ID.
+router.get('/comments/:location/stream', (req, res) => {
+  streamComments(req, res, req.params.location);
+});
+
+// GET: Direct replies to a comment, oldest first by default
+router.get('/comments/:id/replies', optionalToken, async (req, res) => {
+  const { id } = req.params;
+
+  const { options, error } = parseCommentPageQuery(req.query, { defaultSort: 'oldest' });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const email = readerEmail(req, res);
+  if (email === undefined) return;
+
   try {
-    const { data, error } = await supabase
-      .from('comments')
-      .select('*')
-      .eq('location', location)
-      .order('created_at', { ascending: false });
-
-    if (error) {
-      console.error('Comment fetch error:', error);
-      return res.json({ success: true, data: [] });
+    const parent = await getComment(supabase, null, id);
+    if (!parent) {
+      return res.status(404).json({ error: 'Comment not found' });
     }
 
-    res.json({ success: true, data: data || [] });
+    const { items, nextCursor } = await loadCommentPage(supabase, { parentId: parent.id, viewerEmail: email, ...options });
+    const data = await decorateComments(items, parent.location, email);
+    res.json({ success: true, data, nextCursor, sort: options.sort });
   } catch (error) {
-    console.error('Error fetching comments:', error);
-    res.json({ success: true, data: [] });
+    console.error('Error fetching replies:', error);
+    res.status(500).json({ error: 'Failed to fetch replies' });
+  }
+});
+
+// GET: A comment's earlier versions, oldest first
+router.get('/comments/:id/history', optionalToken, async (req, res) => {
+  try {
+    const comment = await getComment(supabase, null, req.params.id);
+    if (!comment || (comment.status !== 'visible' && !isSameUser(req, comment.user_email))) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    const edits = await loadCommentEdits(supabase, comment.id);
+    res.json({
+      success: true,
+      data: {
+        id: comment.id,
+        content: comment.content,
+        edited: Boolean(comment.edited),
+        edit_count: comment.edit_count || edits.length,
+        updated_at: comment.updated_at || null,
+        edits
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching comment history:', error);
+    res.status(500).json({ error: 'Failed to fetch comment history' });
+  }
+});
+
+// POST: React to a comment (requires login). Sending the current reaction again removes it.
+router.post('/comments/:id/reactions', verifyToken, async (req, res) => {
+  const { id } = req.params;
+  const { reaction } = req.body;
+
+  if (!checkSameUser(req, res, req.body.email)) return;
+  const email = req.user.email;
+
+  if (!reaction) {
+    return res.status(400).json({ error: 'Reaction required' });
+  }
+
+  if (!COMMENT_REACTIONS.includes(reaction)) {
+    return res.status(400).json({ error: `Invalid reaction. Use one of: ${COMMENT_REACTIONS.join(', ')}` });
+  }
+
+  try {
+    const comment = await getComment(supabase, null, id);
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    const current = await toggleReaction(supabase, comment.id, email, reaction);
+    // Counts are updated by a trigger, so read them back
+    const updated = await getComment(supabase, null, comment.id);
+
+    res.json({
+      success: true,
+      my_reaction: current,
+      reactions: updated?.reactions || {},
+      score: updated?.score || 0
+    });
+  } catch (error) {
+    console.error('Error saving reaction:', error);
+    res.status(500).json({ error: 'Failed to save reaction' });
+  }
+});
+
+// POST: Report a comment (requires login). Each account counts once per comment;
+// enough reports hide the comment until a moderator reviews it.
+router.post('/comments/:id/report', verifyToken, async (req, res) => {
+  const { id } = req.params;
+  const { reason } = req.body;
+
+  if (!checkSameUser(req, res, req.body.email)) return;
+  const email = req.user.email;
+
+  if (reason !== undefined && (typeof reason !== 'string' || reason.length > 500)) {
+    return res.status(400).json({ error: 'Reason must be text of at most 500 characters' });
+  }
+
+  try {
+    const comment = await getComment(supabase, null, id);
+    if (!comment || comment.status !== 'visible') {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    if (isSameUser(req, comment.user_email)) {
+      return res.status(400).json({ error: 'You cannot report your own comment' });
+    }
+
+    const updated = await reportComment(supabase, comment, email, reason);
+    if (updated.status !== 'visible') publishCommentRemoval(updated);
+    res.json({ success: true, message: 'Thanks - a moderator will review this comment' });
+  } catch (error) {
+    console.error('Error reporting comment:', error);
+    res.status(500).json({ error: 'Failed to report comment' });
   }
 });
 
 // DELETE: Delete a comment (only by owner)
 router.delete('/comments/:id', verifyToken, async (req, res) => {
   const { id } = req.params;
-  const { email } = req.body;
 
-  if (!id || !email) {
-    return res.status(400).json({ error: 'ID and email required' });
-  }
+  if (!checkSameUser(req, res, req.body?.email)) return;
 
   try {
     // Verify comment belongs to user
-    const { data: comment } = await supabase
-      .from('comments')
-      .select('*')
-      .eq('id', id)
-      .single();
+    const comment = await getComment(supabase, null, id);
 
-    if (!comment || comment.user_email !== email) {
+    if (!comment || !isSameUser(req, comment.user_email)) {
       return res.status(403).json({ error: 'Unauthorized - Can only delete your own comments' });
     }
 
-    const { error } = await supabase
-      .from('comments')
-      .delete()
-      .eq('id', id);
-
-    if (error) {
-      return res.status(500).json({ error: 'Failed to delete comment' });
-    }
+    await deleteComment(supabase, id);
+    if (comment.status === 'visible') publishCommentRemoval(comment);
 
     res.json({ success: true, message: 'Comment deleted' });
   } catch (error) {
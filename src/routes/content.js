@@ -1,5 +1,47 @@
 import { createClient } from '@supabase/supabase-js';
 import express from 'express';
+import {
+  toSeriesCard,
+  toMovieCard,
+  loadCatalogRows,
+  loadLatestEpisodes,
+  loadEpisode,
+  loadSeriesDetail,
+  loadMovie,
+  isPagedLibraryRequest,
+  parseLibraryQuery,
+  queryLibrary,
+  latestMovies,
+  loadCollections,
+  buildCollections
+} from '../catalog.js';
+import { searchCatalog } from '../search.js';
+import { findRelated } from '../recommendations.js';
+import { recordSignal, queryTrending, TRENDING_WINDOWS } from '../trending.js';
+import { buildGenreCatalog, normalizeGenre, genreSlug } from '../genres.js';
+import { toEpisodeListItem, findMissingEpisodes, findEpisodeNeighbours } from '../episodes.js';
+import { parseFieldSelection, isIncluded, selectFields } from '../field-selection.js';
+import { commentSpoilerScope } from '../spoilers.js';
+import { commentRetryAfter, recordCommentPost, screenComment, moderationNotice } from '../comment-moderation.js';
+import { publishComment, publishCommentRemoval } from '../comment-stream.js';
+import { resolveMentions, notifyCommentRecipients } from '../comment-notifications.js';
+import { verifyToken, isSameUser } from '../auth-middleware.js';
+import {
+  episodeLocation,
+  movieLocation,
+  loadComments,
+  loadSeriesComments,
+  getComment,
+  isReplyTo,
+  createComment,
+  updateCommentContent,
+  deleteComment,
+  toLegacyComment,
+  toLegacyThread
+} from '../comments-store.js';
+import { withProxiedImages } from '../image-proxy.js';
+import { sendCached, latestTimestamp } from '../http-cache.js';
+import { cached, cacheKeys, CACHE_TTLS } from '../cache.js';
 
 const router = express.Router();
 
@@ -8,108 +50,177 @@ const supabaseAnonKey = process.env.SUPABASE_ANON_KEY;
 const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
 
 const supabase = createClient(supabaseUrl, supabaseAnonKey);
-const supabaseAdmin = createClient(supabaseUrl, supabaseServiceKey);
+// Comment writes need the service key; without it the server still starts and serves content
+const supabaseAdmin = createClient(supabaseUrl, supabaseServiceKey || supabaseAnonKey);
 
-// Helper to find comment/reply in nested structure
-function findCommentById(comments, targetId) {
-  for (let comment of comments) {
-    if (comment.id == targetId) {
-      return { comment, parentId: null, index: comments.indexOf(comment) };
-    }
-    if (comment.replies && Array.isArray(comment.replies)) {
-      const found = findInReplies(comment.replies, targetId, comment.id);
-      if (found) return found;
-    }
-  }
-  return null;
+// PGRST116 is PostgREST's "no rows" from .single(); anything else is a real failure
+function isQueryError(error) {
+  return Boolean(error) && error.code !== 'PGRST116';
 }
 
-function findInReplies(replies, targetId, parentId) {
-  for (let reply of replies) {
-    if (reply.id == targetId) {
-      return { comment: reply, parentId, index: replies.indexOf(reply), isReply: true };
-    }
-    if (reply.replies && Array.isArray(reply.replies)) {
-      const found = findInReplies(reply.replies, targetId, reply.id);
-      if (found) return found;
-    }
+// Every content response points its poster/thumbnail fields at the image proxy
+function sendContent(req, res, body, options) {
+  sendCached(req, res, withProxiedImages(body), options);
+}
+
+// Related titles for a series or movie, scored from the cached catalog rows only
+async function sendRelated(req, res, type) {
+  const { slug } = req.params;
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 12, 1), 50);
+  const catalog = await loadCatalogRows(supabase);
+  const source = (type === 'movie' ? catalog.movies : catalog.series).find(row => row.slug === slug);
+
+  if (!source) {
+    return res.status(404).json({ error: type === 'movie' ? 'Movie not found' : 'Series not found' });
   }
-  return null;
+
+  sendContent(req, res, findRelated(source, type, catalog, { limit }), { policy: 'library' });
+}
+
+// Sections each detail route can embed with ?include=, and which ones its legacy response has
+const SERIES_SECTIONS = { sections: ['episodes', 'related', 'comments'], defaults: ['episodes'] };
+const MOVIE_SECTIONS = { sections: ['related', 'comments'], defaults: ['comments'] };
+
+async function loadRelated(row, type) {
+  return findRelated(row, type, await loadCatalogRows(supabase));
 }
 
-// Get library (all series and movies)
+// Get library (all series and movies). Any paging, filter or sort parameter
+// switches the response to { items, total, nextCursor }.
 router.get('/library', async (req, res) => {
   try {
-    const [seriesResult, moviesResult] = await Promise.all([
-      supabase.from('series').select('*').order('title'),
-      supabase.from('movies').select('*').order('title')
-    ]);
+    const { selection, error: selectionError } = parseFieldSelection(req.query);
+    if (selectionError) {
+      return res.status(400).json({ error: selectionError });
+    }
+
+    if (isPagedLibraryRequest(req.query)) {
+      const { options, error } = parseLibraryQuery(req.query);
+      if (error) {
+        return res.status(400).json({ error });
+      }
 
-    if (seriesResult.error) throw seriesResult.error;
-    if (moviesResult.error) throw moviesResult.error;
+      const page = await cached(cacheKeys.library(options), CACHE_TTLS.library, () =>
+        queryLibrary(supabase, options)
+      );
+      const items = page.items.map(item => selectFields(item, selection));
+      return sendContent(req, res, { ...page, items }, { policy: 'library' });
+    }
+
+    const { series, movies } = await loadCatalogRows(supabase);
 
     const library = [
-      ...(seriesResult.data || []).map(s => ({
-        type: 'series',
-        slug: s.slug,
-        title: s.title,
-        poster: s.poster,
-        genres: s.genres || [],
-        synopsis: s.description || '',
-        status: 'Available',
-        release_year: s.year,
-        totalEpisodes: null,
-        rating: s.rating || null
-      })),
-      ...(moviesResult.data || []).map(m => ({
-        type: 'movie',
-        slug: m.slug,
-        title: m.title,
-        poster: m.poster,
-        genres: m.genres || [],
-        synopsis: m.description || '',
-        status: 'Movie',
-        release_year: m.year,
-        totalEpisodes: 1,
-        rating: m.rating || null
-      }))
-    ];
-
-    res.json(library);
+      ...series.map(toSeriesCard),
+      ...movies.map(toMovieCard)
+    ].map(item => selectFields(item, selection));
+
+    sendContent(req, res, library, {
+      policy: 'library',
+      lastModified: latestTimestamp([...series, ...movies])
+    });
   } catch (error) {
     console.error('Error fetching library:', error);
     res.status(500).json({ error: 'Failed to fetch library' });
   }
 });
 
+// Search series and movies by title, genres and description
+router.get('/search', async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim();
+    const { type } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+
+    if (!q) {
+      return res.status(400).json({ error: 'Query parameter q is required' });
+    }
+
+    if (type && type !== 'series' && type !== 'movie') {
+      return res.status(400).json({ error: 'Invalid type. Use series or movie' });
+    }
+
+    const { series, movies } = await loadCatalogRows(supabase);
+
+    const { total, results } = searchCatalog(
+      {
+        series: type === 'movie' ? [] : series,
+        movies: type === 'series' ? [] : movies
+      },
+      q,
+      { limit }
+    );
+
+    sendContent(req, res, { query: q, total, results }, { policy: 'search' });
+  } catch (error) {
+    console.error('Error searching catalog:', error);
+    res.status(500).json({ error: 'Failed to search catalog' });
+  }
+});
+
+// List normalized genres with item counts and a representative poster
+router.get('/genres', async (req, res) => {
+  try {
+    const genres = buildGenreCatalog(await loadCatalogRows(supabase));
+
+    sendContent(req, res, genres, { policy: 'genres' });
+  } catch (error) {
+    console.error('Error fetching genres:', error);
+    res.status(500).json({ error: 'Failed to fetch genres' });
+  }
+});
+
+// Browse one genre (accepts the genre name, slug or any known alias)
+router.get('/genres/:genre', async (req, res) => {
+  try {
+    const { genre } = req.params;
+    const [name] = normalizeGenre(genre);
+
+    if (!name) {
+      return res.status(400).json({ error: 'Genre is required' });
+    }
+
+    const { options, error } = parseLibraryQuery({ ...req.query, genre: name });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const page = await cached(cacheKeys.library(options), CACHE_TTLS.library, () =>
+      queryLibrary(supabase, options)
+    );
+
+    if (page.total === 0) {
+      return res.status(404).json({ error: 'Genre not found' });
+    }
+
+    sendContent(req, res, { genre: { name, slug: genreSlug(name) }, ...page }, { policy: 'genres' });
+  } catch (error) {
+    console.error('Error fetching genre:', error);
+    res.status(500).json({ error: 'Failed to fetch genre' });
+  }
+});
+
 // Get series by slug
 router.get('/series/:slug', async (req, res) => {
   try {
     const { slug } = req.params;
-    
-    const { data: series, error: seriesError } = await supabase
-      .from('series')
-      .select('*')
-      .eq('slug', slug)
-      .single();
 
-    if (seriesError || !series) {
-      return res.status(404).json({ error: 'Series not found' });
+    const { selection, error: selectionError } = parseFieldSelection(req.query, SERIES_SECTIONS);
+    if (selectionError) {
+      return res.status(400).json({ error: selectionError });
     }
 
-    const { data: episodes, error: episodesError } = await supabase
-      .from('episodes')
-      .select('*')
-      .eq('series_slug', slug)
-      .order('season')
-      .order('episode');
+    const { series, episodes } = await loadSeriesDetail(supabase, slug);
 
-    if (episodesError) throw episodesError;
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    recordSignal('series', slug, 'views');
 
     const seasons = {};
     const episodesBySeason = {};
 
-    (episodes || []).forEach(ep => {
+    episodes.forEach(ep => {
       const seasonKey = String(ep.season);
       
       if (!seasons[seasonKey]) {
@@ -118,18 +229,7 @@ router.get('/series/:slug', async (req, res) => {
       }
 
       seasons[seasonKey].push(String(ep.episode));
-      episodesBySeason[seasonKey].push({
-        id: `${ep.season}-${ep.episode}`,
-        number: ep.episode,
-        title: ep.title,
-        duration: '',
-        thumbnail: ep.episode_card_thumbnail || ep.episode_list_thumbnail || ep.thumbnail,
-        episode_main_poster: ep.episode_main_poster,
-        episode_card_thumbnail: ep.episode_card_thumbnail,
-        episode_list_thumbnail: ep.episode_list_thumbnail,
-        video_player_thumbnail: ep.video_player_thumbnail,
-        description: ''
-      });
+      if (isIncluded(selection, 'episodes')) episodesBySeason[seasonKey].push(toEpisodeListItem(ep));
     });
 
     const result = {
@@ -142,19 +242,89 @@ router.get('/series/:slug', async (req, res) => {
       genres: series.genres || [],
       status: series.status || 'Available',
       release_year: series.year || series.release_year,
-      totalEpisodes: episodes?.length || 0,
+      totalEpisodes: episodes.length,
       seasons,
-      episodes: episodesBySeason,
       rating: series.rating || null
     };
 
-    res.json(result);
+    if (isIncluded(selection, 'episodes')) result.episodes = episodesBySeason;
+    if (isIncluded(selection, 'related')) result.related = await loadRelated(series, 'series');
+    if (isIncluded(selection, 'comments')) result.comments = await loadSeriesComments(supabase, slug);
+
+    // Embedded comments don't touch the series or episode rows, so Last-Modified is only sent without them
+    sendContent(req, res, selectFields(result, selection), {
+      policy: 'series',
+      lastModified: result.comments ? null : latestTimestamp([series, ...episodes])
+    });
   } catch (error) {
     console.error('Error fetching series:', error);
     res.status(500).json({ error: 'Failed to fetch series' });
   }
 });
 
+// Get titles related to a series
+router.get('/series/:slug/related', async (req, res) => {
+  try {
+    await sendRelated(req, res, 'series');
+  } catch (error) {
+    console.error('Error fetching related titles:', error);
+    res.status(500).json({ error: 'Failed to fetch related titles' });
+  }
+});
+
+// Get the episode list for one season of a series
+router.get('/series/:slug/season/:season', async (req, res) => {
+  try {
+    const { slug } = req.params;
+    const season = parseInt(req.params.season);
+
+    if (!Number.isInteger(season)) {
+      return res.status(400).json({ error: 'Invalid season number' });
+    }
+
+    const { series, episodes } = await cached(cacheKeys.season(slug, season), CACHE_TTLS.series, async () => {
+      const { data: series, error: seriesError } = await supabase
+        .from('series')
+        .select('slug, title')
+        .eq('slug', slug)
+        .single();
+
+      if (isQueryError(seriesError)) throw seriesError;
+      if (!series) return { series: null, episodes: [] };
+
+      const { data: episodes, error: episodesError } = await supabase
+        .from('episodes')
+        .select('*')
+        .eq('series_slug', slug)
+        .eq('season', season)
+        .order('episode');
+
+      if (episodesError) throw episodesError;
+      return { series, episodes: episodes || [] };
+    });
+
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    if (episodes.length === 0) {
+      return res.status(404).json({ error: 'Season not found' });
+    }
+
+    sendContent(req, res, {
+      series: series.slug,
+      seriesTitle: series.title,
+      season,
+      totalEpisodes: episodes.length,
+      episodes: episodes.map(toEpisodeListItem),
+      missing: findMissingEpisodes(episodes).map(m => m.episode)
+    }, { policy: 'season', lastModified: latestTimestamp(episodes) });
+  } catch (error) {
+    console.error('Error fetching season:', error);
+    res.status(500).json({ error: 'Failed to fetch season' });
+  }
+});
+
 // Get episode by series slug and episode id
 router.get('/series/:slug/episode/:episodeId', async (req, res) => {
   try {
@@ -167,27 +337,31 @@ router.get('/series/:slug/episode/:episodeId', async (req, res) => {
 
     const [, season, episode] = match;
 
-    const { data, error } = await supabase
-      .from('episodes')
-      .select('*')
-      .eq('series_slug', slug)
-      .eq('season', parseInt(season))
-      .eq('episode', parseInt(episode))
-      .single();
+    const data = await loadEpisode(supabase, slug, parseInt(season), parseInt(episode));
 
-    if (error || !data) {
-      console.error('Episode fetch error:', { slug, season, episode, error });
+    if (!data) {
+      console.error('Episode fetch error:', { slug, season, episode });
       return res.status(404).json({ error: 'Episode not found' });
     }
 
-    console.log('📝 Episode data from DB:', { coments: data.coments, type: typeof data.coments });
+    const siblings = await cached(cacheKeys.episodeList(slug), CACHE_TTLS.series, async () => {
+      const { data: siblings, error: siblingsError } = await supabase
+        .from('episodes')
+        .select('season, episode, episode_title, thumbnail, episode_card_thumbnail, episode_list_thumbnail')
+        .eq('series_slug', slug);
+
+      if (siblingsError) throw siblingsError;
+      return siblings || [];
+    });
+
+    const { prev, next } = findEpisodeNeighbours(siblings, data.season, data.episode);
 
     const result = {
       series: slug,
       season: data.season,
       episode: data.episode,
-      episode_title: data.title,
-      title: data.title,
+      episode_title: data.episode_title || data.title,
+      title: data.episode_title || data.title,
       thumbnail: data.episode_card_thumbnail || data.episode_list_thumbnail || data.thumbnail,
       episode_main_poster: data.episode_main_poster,
       episode_card_thumbnail: data.episode_card_thumbnail,
@@ -197,799 +371,398 @@ router.get('/series/:slug/episode/:episodeId', async (req, res) => {
       description: '',
       duration: '',
       releaseDate: '',
-      comments: Array.isArray(data.coments) ? data.coments : (data.coments || [])
+      comments: toLegacyThread(await loadComments(supabase, episodeLocation(slug, data.season, data.episode))),
+      prev,
+      next
     };
 
-    console.log('📤 Sending response with comments:', { comments: result.comments });
-    res.json(result);
+    // No Last-Modified: the embedded comments change without touching the episode row,
+    // so only the ETag can tell whether this response is still fresh
+    sendContent(req, res, result, { policy: 'episode' });
   } catch (error) {
     console.error('Error fetching episode:', error);
     res.status(500).json({ error: 'Failed to fetch episode' });
   }
 });
 
-// Get movie by slug
-router.get('/movies/:slug', async (req, res) => {
+// List movies (paged, same filters and sorts as the library)
+router.get('/movies', async (req, res) => {
   try {
-    const { slug } = req.params;
-    
-    const { data: movie, error } = await supabase
-      .from('movies')
-      .select('*')
-      .eq('slug', slug)
-      .single();
-
-    if (error || !movie) {
-      console.error('Movie fetch error:', { slug, error });
-      return res.status(404).json({ error: 'Movie not found' });
+    const { options, error } = parseLibraryQuery({ ...req.query, type: 'movie' });
+    if (error) {
+      return res.status(400).json({ error });
     }
 
-    console.log('🎬 Movie data from DB:', { coments: movie.coments ? movie.coments.length : 0, type: typeof movie.coments });
+    const page = await cached(cacheKeys.library(options), CACHE_TTLS.library, () =>
+      queryLibrary(supabase, options)
+    );
 
-    const result = {
-      type: 'movie',
-      slug: movie.slug,
-      title: movie.title,
-      description: movie.description || '',
-      poster: movie.poster,
-      banner_image: movie.banner_image,
-      movie_poster: movie.poster,
-      thumbnail: movie.poster,
-      genres: movie.genres || [],
-      languages: movie.languages || [],
-      status: 'Movie',
-      release_year: movie.year || movie.release_year,
-      runtime: movie.runtime,
-      servers: movie.servers || [],
-      rating: movie.rating || null,
-      comments: Array.isArray(movie.coments) ? movie.coments : (movie.coments || [])
-    };
-
-    res.json(result);
+    sendContent(req, res, page, { policy: 'library' });
   } catch (error) {
-    console.error('Error fetching movie:', error);
-    res.status(500).json({ error: 'Failed to fetch movie' });
+    console.error('Error fetching movies:', error);
+    res.status(500).json({ error: 'Failed to fetch movies' });
   }
 });
 
-// Get latest episodes
-router.get('/latest-episodes', async (req, res) => {
+// Get recently added movies
+router.get('/movies/latest', async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from('latest_episodes')
-      .select('*')
-      .order('added_at', { ascending: false })
-      .limit(20);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+    const { movies } = await loadCatalogRows(supabase);
 
-    if (error) throw error;
-
-    const result = (data || []).map(ep => ({
-      seriesSlug: ep.series_slug,
-      series: ep.series_title,
-      season: ep.season,
-      episode: ep.episode,
-      title: ep.episode_title,
-      thumbnail: ep.thumbnail,
-      addedAt: ep.added_at
-    }));
-
-    res.json(result);
+    sendContent(req, res, latestMovies(movies, limit), { policy: 'latest' });
   } catch (error) {
-    console.error('Error fetching latest episodes:', error);
-    res.status(500).json({ error: 'Failed to fetch latest episodes' });
+    console.error('Error fetching latest movies:', error);
+    res.status(500).json({ error: 'Failed to fetch latest movies' });
   }
 });
 
-// POST: Add comment to episode
-router.post('/series/:slug/episode/:episodeId/comments', async (req, res) => {
+// List collections (franchises) with their item counts
+router.get('/collections', async (req, res) => {
   try {
-    const { slug, episodeId } = req.params;
-    const { username, text } = req.body;
-
-    if (!username || !text) {
-      return res.status(400).json({ error: 'Username and text are required' });
-    }
-
-    const match = episodeId.match(/(\d+)-(\d+)/);
-    if (!match) {
-      return res.status(400).json({ error: 'Invalid episode format' });
-    }
-
-    const [, season, episode] = match;
-
-    const { data: episodeData, error: fetchError } = await supabase
-      .from('episodes')
-      .select('*')
-      .eq('series_slug', slug)
-      .eq('season', parseInt(season))
-      .eq('episode', parseInt(episode))
-      .single();
-
-    if (fetchError || !episodeData) {
-      console.error('Episode not found:', { slug, season: parseInt(season), episode: parseInt(episode), fetchError });
-      return res.status(404).json({ error: 'Episode not found' });
-    }
-
-    console.log('📌 Episode found, ID:', episodeData.id, 'current coments:', Array.isArray(episodeData.coments) ? episodeData.coments.length : 0);
-
-    const comments = Array.isArray(episodeData.coments) ? episodeData.coments : [];
-    const newComment = {
-      id: Date.now(),
-      username,
-      text,
-      timestamp: new Date().toISOString()
-    };
-    comments.push(newComment);
-
-    console.log('💾 Updating episode', episodeData.id, 'with', comments.length, 'comments');
-
-    const { error: updateError } = await supabaseAdmin
-      .from('episodes')
-      .update({ coments: comments })
-      .eq('id', episodeData.id);
-
-    if (updateError) {
-      console.error('❌ Error updating comment:', updateError);
-      throw updateError;
-    }
+    const [collections, catalog] = await Promise.all([
+      loadCollections(supabase),
+      loadCatalogRows(supabase)
+    ]);
 
-    // Verify the data was actually saved
-    const { data: verify, error: verifyError } = await supabaseAdmin
-      .from('episodes')
-      .select('coments')
-      .eq('id', episodeData.id)
-      .single();
-    
-    console.log('✅ Verification - Comments in DB:', verify?.coments?.length || 0);
+    const result = buildCollections(collections, catalog).map(({ items, ...collection }) => collection);
 
-    res.json({ success: true, comment: newComment });
+    sendContent(req, res, result, { policy: 'collections' });
   } catch (error) {
-    console.error('Error adding comment:', error);
-    res.status(500).json({ error: 'Failed to add comment' });
+    console.error('Error fetching collections:', error);
+    res.status(500).json({ error: 'Failed to fetch collections' });
   }
 });
 
-// POST: Add comment to movie
-router.post('/movies/:slug/comments', async (req, res) => {
+// Get one collection (by TMDB collection id or slug) with its movies and series
+router.get('/collections/:id', async (req, res) => {
   try {
-    const { slug } = req.params;
-    const { username, text } = req.body;
-
-    if (!username || !text) {
-      return res.status(400).json({ error: 'Username and text are required' });
-    }
-
-    const { data: movieData, error: fetchError } = await supabase
-      .from('movies')
-      .select('coments')
-      .eq('slug', slug)
-      .single();
-
-    if (fetchError || !movieData) {
-      console.error('Movie not found:', { slug, fetchError });
-      return res.status(404).json({ error: 'Movie not found' });
-    }
-
-    console.log('📌 Movie found, ID:', movieData.id, 'current coments:', Array.isArray(movieData.coments) ? movieData.coments.length : 0);
-
-    const comments = Array.isArray(movieData.coments) ? movieData.coments : [];
-    const newComment = {
-      id: Date.now(),
-      username,
-      text,
-      timestamp: new Date().toISOString()
-    };
-    comments.push(newComment);
-
-    console.log('💾 Updating movie', movieData.id, 'with', comments.length, 'comments');
+    const { id } = req.params;
+    const [collections, catalog] = await Promise.all([
+      loadCollections(supabase),
+      loadCatalogRows(supabase)
+    ]);
 
-    const { error: updateError } = await supabaseAdmin
-      .from('movies')
-      .update({ coments: comments })
-      .eq('id', movieData.id);
+    const matching = collections.filter(c => String(c.id) === id || c.slug === id);
+    const [collection] = buildCollections(matching, catalog);
 
-    if (updateError) {
-      console.error('❌ Error updating movie comment:', updateError);
-      throw updateError;
+    if (!collection) {
+      return res.status(404).json({ error: 'Collection not found' });
     }
 
-    // Verify the data was saved
-    const { data: verify } = await supabaseAdmin
-      .from('movies')
-      .select('coments')
-      .eq('id', movieData.id)
-      .single();
-    
-    console.log('✅ Verification - Comments in DB:', verify?.coments?.length || 0);
-
-    res.json({ success: true, comment: newComment });
+    sendContent(req, res, collection, { policy: 'collections' });
   } catch (error) {
-    console.error('Error adding comment:', error);
-    res.status(500).json({ error: 'Failed to add comment' });
+    console.error('Error fetching collection:', error);
+    res.status(500).json({ error: 'Failed to fetch collection' });
   }
 });
 
-// DELETE: Remove comment from episode
-router.delete('/series/:slug/episode/:episodeId/comments/:commentId', async (req, res) => {
+// Get movie by slug
+router.get('/movies/:slug', async (req, res) => {
   try {
-    const { slug, episodeId, commentId } = req.params;
-    const { username } = req.body;
-
-    if (!username) {
-      return res.status(400).json({ error: 'Username is required' });
-    }
+    const { slug } = req.params;
 
-    const match = episodeId.match(/(\d+)-(\d+)/);
-    if (!match) {
-      return res.status(400).json({ error: 'Invalid episode format' });
+    const { selection, error: selectionError } = parseFieldSelection(req.query, MOVIE_SECTIONS);
+    if (selectionError) {
+      return res.status(400).json({ error: selectionError });
     }
 
-    const [, season, episode] = match;
-
-    const { data: episodeData, error: fetchError } = await supabase
-      .from('episodes')
-      .select('*')
-      .eq('series_slug', slug)
-      .eq('season', parseInt(season))
-      .eq('episode', parseInt(episode))
-      .single();
-
-    if (fetchError || !episodeData) {
-      return res.status(404).json({ error: 'Episode not found' });
-    }
+    const movie = await loadMovie(supabase, slug);
 
-    const comments = Array.isArray(episodeData.coments) ? episodeData.coments : [];
-    const commentIndex = comments.findIndex(c => c.id == commentId);
-    
-    if (commentIndex === -1) {
-      return res.status(404).json({ error: 'Comment not found' });
-    }
-
-    if (comments[commentIndex].username !== username) {
-      return res.status(403).json({ error: 'Unauthorized to delete this comment' });
+    if (!movie) {
+      console.error('Movie fetch error:', { slug });
+      return res.status(404).json({ error: 'Movie not found' });
     }
 
-    comments.splice(commentIndex, 1);
+    recordSignal('movie', slug, 'views');
 
-    const { error: updateError } = await supabaseAdmin
-      .from('episodes')
-      .update({ coments: comments })
-      .eq('id', episodeData.id);
+    const result = {
+      type: 'movie',
+      slug: movie.slug,
+      title: movie.title,
+      description: movie.description || '',
+      poster: movie.poster,
+      banner_image: movie.banner_image,
+      movie_poster: movie.poster,
+      thumbnail: movie.poster,
+      genres: movie.genres || [],
+      languages: movie.languages || [],
+      status: 'Movie',
+      release_year: movie.year || movie.release_year,
+      runtime: movie.runtime,
+      servers: movie.servers || [],
+      rating: movie.rating || null
+    };
 
-    if (updateError) {
-      throw updateError;
+    if (isIncluded(selection, 'comments')) {
+      result.comments = toLegacyThread(await loadComments(supabase, movieLocation(slug)));
     }
+    if (isIncluded(selection, 'related')) result.related = await loadRelated(movie, 'movie');
 
-    res.json({ success: true });
+    // Embedded comments don't touch the movie row, so Last-Modified is only sent without them
+    sendContent(req, res, selectFields(result, selection), {
+      policy: 'movie',
+      lastModified: result.comments ? null : latestTimestamp([movie])
+    });
   } catch (error) {
-    console.error('Error deleting comment:', error);
-    res.status(500).json({ error: 'Failed to delete comment' });
+    console.error('Error fetching movie:', error);
+    res.status(500).json({ error: 'Failed to fetch movie' });
   }
 });
 
-// PATCH: Edit comment on episode
-router.patch('/series/:slug/episode/:episodeId/comments/:commentId', async (req, res) => {
+// Get titles related to a movie
+router.get('/movies/:slug/related', async (req, res) => {
   try {
-    const { slug, episodeId, commentId } = req.params;
-    const { username, text } = req.body;
-
-    if (!username || !text) {
-      return res.status(400).json({ error: 'Username and text are required' });
-    }
-
-    const match = episodeId.match(/(\d+)-(\d+)/);
-    if (!match) {
-      return res.status(400).json({ error: 'Invalid episode format' });
-    }
-
-    const [, season, episode] = match;
-
-    const { data: episodeData, error: fetchError } = await supabase
-      .from('episodes')
-      .select('*')
-      .eq('series_slug', slug)
-      .eq('season', parseInt(season))
-      .eq('episode', parseInt(episode))
-      .single();
-
-    if (fetchError || !episodeData) {
-      return res.status(404).json({ error: 'Episode not found' });
-    }
-
-    const comments = Array.isArray(episodeData.coments) ? episodeData.coments : [];
-    const commentIndex = comments.findIndex(c => c.id == commentId);
-    
-    if (commentIndex === -1) {
-      return res.status(404).json({ error: 'Comment not found' });
-    }
-
-    if (comments[commentIndex].username !== username) {
-      return res.status(403).json({ error: 'Unauthorized to edit this comment' });
-    }
-
-    comments[commentIndex].text = text;
-    comments[commentIndex].edited = true;
-
-    const { error: updateError } = await supabaseAdmin
-      .from('episodes')
-      .update({ coments: comments })
-      .eq('id', episodeData.id);
-
-    if (updateError) {
-      throw updateError;
-    }
-
-    res.json({ success: true, comment: comments[commentIndex] });
+    await sendRelated(req, res, 'movie');
   } catch (error) {
-    console.error('Error editing comment:', error);
-    res.status(500).json({ error: 'Failed to edit comment' });
+    console.error('Error fetching related titles:', error);
+    res.status(500).json({ error: 'Failed to fetch related titles' });
   }
 });
 
-// DELETE: Remove comment from movie
-router.delete('/movies/:slug/comments/:commentId', async (req, res) => {
+// Get latest episodes
+router.get('/latest-episodes', async (req, res) => {
   try {
-    const { slug, commentId } = req.params;
-    const { username } = req.body;
-
-    if (!username) {
-      return res.status(400).json({ error: 'Username is required' });
+    const { selection, error: selectionError } = parseFieldSelection(req.query);
+    if (selectionError) {
+      return res.status(400).json({ error: selectionError });
     }
 
-    const { data: movieData, error: fetchError } = await supabase
-      .from('movies')
-      .select('*')
-      .eq('slug', slug)
-      .single();
-
-    if (fetchError || !movieData) {
-      return res.status(404).json({ error: 'Movie not found' });
-    }
+    const data = await loadLatestEpisodes(supabase);
 
-    const comments = Array.isArray(movieData.coments) ? movieData.coments : [];
-    const commentIndex = comments.findIndex(c => c.id == commentId);
-    
-    if (commentIndex === -1) {
-      return res.status(404).json({ error: 'Comment not found' });
-    }
-
-    if (comments[commentIndex].username !== username) {
-      return res.status(403).json({ error: 'Unauthorized to delete this comment' });
-    }
-
-    comments.splice(commentIndex, 1);
-
-    const { error: updateError } = await supabaseAdmin
-      .from('movies')
-      .update({ coments: comments })
-      .eq('id', movieData.id);
-
-    if (updateError) {
-      throw updateError;
-    }
+    const result = data.map(ep => ({
+      seriesSlug: ep.series_slug,
+      series: ep.series_title,
+      season: ep.season,
+      episode: ep.episode,
+      title: ep.episode_title,
+      thumbnail: ep.thumbnail,
+      addedAt: ep.added_at
+    })).map(item => selectFields(item, selection));
 
-    res.json({ success: true });
+    sendContent(req, res, result, { policy: 'latest', lastModified: latestTimestamp(data, 'added_at') });
   } catch (error) {
-    console.error('Error deleting comment:', error);
-    res.status(500).json({ error: 'Failed to delete comment' });
+    console.error('Error fetching latest episodes:', error);
+    res.status(500).json({ error: 'Failed to fetch latest episodes' });
   }
 });
 
-// PATCH: Edit comment on movie
-router.patch('/movies/:slug/comments/:commentId', async (req, res) => {
+// Get trending series and movies from our own traffic (views, plays, favorites, comments)
+router.get('/trending', async (req, res) => {
   try {
-    const { slug, commentId } = req.params;
-    const { username, text } = req.body;
-
-    if (!username || !text) {
-      return res.status(400).json({ error: 'Username and text are required' });
-    }
-
-    const { data: movieData, error: fetchError } = await supabase
-      .from('movies')
-      .select('*')
-      .eq('slug', slug)
-      .single();
-
-    if (fetchError || !movieData) {
-      return res.status(404).json({ error: 'Movie not found' });
-    }
-
-    const comments = Array.isArray(movieData.coments) ? movieData.coments : [];
-    const commentIndex = comments.findIndex(c => c.id == commentId);
-    
-    if (commentIndex === -1) {
-      return res.status(404).json({ error: 'Comment not found' });
-    }
-
-    if (comments[commentIndex].username !== username) {
-      return res.status(403).json({ error: 'Unauthorized to edit this comment' });
+    const window = req.query.window || 'week';
+    if (!(window in TRENDING_WINDOWS)) {
+      return res.status(400).json({ error: `window must be one of: ${Object.keys(TRENDING_WINDOWS).join(', ')}` });
     }
 
-    comments[commentIndex].text = text;
-    comments[commentIndex].edited = true;
-
-    const { error: updateError } = await supabaseAdmin
-      .from('movies')
-      .update({ coments: comments })
-      .eq('id', movieData.id);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+    const items = await cached(cacheKeys.trending(window, limit), CACHE_TTLS.trending, async () =>
+      queryTrending(supabase, await loadCatalogRows(supabase), { window, limit })
+    );
 
-    if (updateError) {
-      throw updateError;
-    }
-
-    res.json({ success: true, comment: comments[commentIndex] });
+    sendContent(req, res, { window, items }, { policy: 'trending' });
   } catch (error) {
-    console.error('Error editing comment:', error);
-    res.status(500).json({ error: 'Failed to edit comment' });
+    console.error('Error fetching trending:', error);
+    res.status(500).json({ error: 'Failed to fetch trending' });
   }
 });
 
-// POST: Add reply to episode comment (supports nested replies)
-router.post('/series/:slug/episode/:episodeId/comments/:commentId/replies', async (req, res) => {
-  try {
-    const { slug, episodeId, commentId } = req.params;
-    const { username, text } = req.body;
+// Episode and movie comments. The URLs and response shapes predate the comments table;
+// the handlers below are thin wrappers over comments-store.js.
+const COMMENT_PATHS = {
+  series: '/series/:slug/episode/:episodeId/comments',
+  movie: '/movies/:slug/comments'
+};
 
-    if (!username || !text) {
-      return res.status(400).json({ error: 'Username and text are required' });
-    }
+// Comment location for the episode or movie in the URL, or null once a 400/404 has been sent
+async function resolveCommentTarget(req, res, type) {
+  const { slug, episodeId } = req.params;
 
-    const match = episodeId.match(/(\d+)-(\d+)/);
-    if (!match) {
-      return res.status(400).json({ error: 'Invalid episode format' });
+  if (type === 'movie') {
+    if (!(await loadMovie(supabase, slug))) {
+      res.status(404).json({ error: 'Movie not found' });
+      return null;
     }
-
-    const [, season, episode] = match;
-
-    const { data: episodeData, error: fetchError } = await supabase
-      .from('episodes')
-      .select('*')
-      .eq('series_slug', slug)
-      .eq('season', parseInt(season))
-      .eq('episode', parseInt(episode))
-      .single();
-
-    if (fetchError || !episodeData) {
-      return res.status(404).json({ error: 'Episode not found' });
-    }
-
-    const comments = Array.isArray(episodeData.coments) ? episodeData.coments : [];
-    const found = findCommentById(comments, commentId);
-    
-    if (!found) {
-      return res.status(404).json({ error: 'Comment not found' });
-    }
-
-    if (!found.comment.replies) {
-      found.comment.replies = [];
-    }
-
-    const newReply = {
-      id: Date.now(),
-      username,
-      text,
-      timestamp: new Date().toISOString()
-    };
-
-    found.comment.replies.push(newReply);
-
-    const { error: updateError } = await supabaseAdmin
-      .from('episodes')
-      .update({ coments: comments })
-      .eq('id', episodeData.id);
-
-    if (updateError) {
-      throw updateError;
-    }
-
-    res.json({ success: true, reply: { ...newReply, parentId: commentId } });
-  } catch (error) {
-    console.error('Error adding reply:', error);
-    res.status(500).json({ error: 'Failed to add reply' });
+    return { location: movieLocation(slug), movieSlug: slug };
   }
-});
-
-// DELETE: Remove reply from episode comment (supports nested replies)
-router.delete('/series/:slug/episode/:episodeId/comments/:commentId/replies/:replyId', async (req, res) => {
-  try {
-    const { slug, episodeId, commentId, replyId } = req.params;
-    const { username } = req.body;
-
-    if (!username) {
-      return res.status(400).json({ error: 'Username is required' });
-    }
-
-    const match = episodeId.match(/(\d+)-(\d+)/);
-    if (!match) {
-      return res.status(400).json({ error: 'Invalid episode format' });
-    }
-
-    const [, season, episode] = match;
-
-    const { data: episodeData, error: fetchError } = await supabase
-      .from('episodes')
-      .select('*')
-      .eq('series_slug', slug)
-      .eq('season', parseInt(season))
-      .eq('episode', parseInt(episode))
-      .single();
-
-    if (fetchError || !episodeData) {
-      return res.status(404).json({ error: 'Episode not found' });
-    }
-
-    const comments = Array.isArray(episodeData.coments) ? episodeData.coments : [];
-    const foundParent = findCommentById(comments, commentId);
-    
-    if (!foundParent) {
-      return res.status(404).json({ error: 'Comment not found' });
-    }
-
-    const replies = foundParent.comment.replies || [];
-    const foundReply = findCommentById(replies, replyId);
-    
-    if (!foundReply) {
-      return res.status(404).json({ error: 'Reply not found' });
-    }
-
-    if (foundReply.comment.username !== username) {
-      return res.status(403).json({ error: 'Unauthorized to delete this reply' });
-    }
-
-    replies.splice(foundReply.index, 1);
-    foundParent.comment.replies = replies;
-
-    const { error: updateError } = await supabaseAdmin
-      .from('episodes')
-      .update({ coments: comments })
-      .eq('id', episodeData.id);
-
-    if (updateError) {
-      throw updateError;
-    }
 
-    res.json({ success: true });
-  } catch (error) {
-    console.error('Error deleting reply:', error);
-    res.status(500).json({ error: 'Failed to delete reply' });
+  const match = episodeId.match(/(\d+)-(\d+)/);
+  if (!match) {
+    res.status(400).json({ error: 'Invalid episode format' });
+    return null;
   }
-});
-
-// PATCH: Edit reply on episode comment (supports nested replies)
-router.patch('/series/:slug/episode/:episodeId/comments/:commentId/replies/:replyId', async (req, res) => {
-  try {
-    const { slug, episodeId, commentId, replyId } = req.params;
-    const { username, text } = req.body;
-
-    if (!username || !text) {
-      return res.status(400).json({ error: 'Username and text are required' });
-    }
 
-    const match = episodeId.match(/(\d+)-(\d+)/);
-    if (!match) {
-      return res.status(400).json({ error: 'Invalid episode format' });
-    }
-
-    const [, season, episode] = match;
-
-    const { data: episodeData, error: fetchError } = await supabase
-      .from('episodes')
-      .select('*')
-      .eq('series_slug', slug)
-      .eq('season', parseInt(season))
-      .eq('episode', parseInt(episode))
-      .single();
-
-    if (fetchError || !episodeData) {
-      return res.status(404).json({ error: 'Episode not found' });
-    }
-
-    const comments = Array.isArray(episodeData.coments) ? episodeData.coments : [];
-    const foundParent = findCommentById(comments, commentId);
-    
-    if (!foundParent) {
-      return res.status(404).json({ error: 'Comment not found' });
-    }
-
-    const replies = foundParent.comment.replies || [];
-    const foundReply = findCommentById(replies, replyId);
-    
-    if (!foundReply) {
-      return res.status(404).json({ error: 'Reply not found' });
-    }
-
-    if (foundReply.comment.username !== username) {
-      return res.status(403).json({ error: 'Unauthorized to edit this reply' });
-    }
-
-    foundReply.comment.text = text;
-    foundReply.comment.edited = true;
-
-    const { error: updateError } = await supabaseAdmin
-      .from('episodes')
-      .update({ coments: comments })
-      .eq('id', episodeData.id);
-
-    if (updateError) {
-      throw updateError;
-    }
-
-    res.json({ success: true, reply: foundReply.comment });
-  } catch (error) {
-    console.error('Error editing reply:', error);
-    res.status(500).json({ error: 'Failed to edit reply' });
+  const season = parseInt(match[1]);
+  const episode = parseInt(match[2]);
+  if (!(await loadEpisode(supabase, slug, season, episode))) {
+    res.status(404).json({ error: 'Episode not found' });
+    return null;
   }
-});
-
-// POST: Add reply to movie comment (supports nested replies)
-router.post('/movies/:slug/comments/:commentId/replies', async (req, res) => {
-  try {
-    const { slug, commentId } = req.params;
-    const { username, text } = req.body;
-
-    if (!username || !text) {
-      return res.status(400).json({ error: 'Username and text are required' });
-    }
-
-    const { data: movieData, error: fetchError } = await supabase
-      .from('movies')
-      .select('*')
-      .eq('slug', slug)
-      .single();
-
-    if (fetchError || !movieData) {
-      return res.status(404).json({ error: 'Movie not found' });
-    }
-
-    const comments = Array.isArray(movieData.coments) ? movieData.coments : [];
-    const found = findCommentById(comments, commentId);
-    
-    if (!found) {
-      return res.status(404).json({ error: 'Comment not found' });
-    }
-
-    if (!found.comment.replies) {
-      found.comment.replies = [];
-    }
-
-    const newReply = {
-      id: Date.now(),
-      username,
-      text,
-      timestamp: new Date().toISOString()
-    };
-
-    found.comment.replies.push(newReply);
-
-    const { error: updateError } = await supabaseAdmin
-      .from('movies')
-      .update({ coments: comments })
-      .eq('id', movieData.id);
+  return { location: episodeLocation(slug, season, episode), seriesSlug: slug };
+}
 
-    if (updateError) {
-      throw updateError;
-    }
+// The comment (or, on /replies/:replyId routes, the reply under it) named in the URL, or null once a 404 has been sent
+async function resolveComment(req, res, location) {
+  const { commentId, replyId } = req.params;
 
-    res.json({ success: true, reply: { ...newReply, parentId: commentId } });
-  } catch (error) {
-    console.error('Error adding reply:', error);
-    res.status(500).json({ error: 'Failed to add reply' });
+  const comment = await getComment(supabase, location, commentId);
+  if (!comment) {
+    res.status(404).json({ error: 'Comment not found' });
+    return null;
   }
-});
-
-// DELETE: Remove reply from movie comment (supports nested replies)
-router.delete('/movies/:slug/comments/:commentId/replies/:replyId', async (req, res) => {
-  try {
-    const { slug, commentId, replyId } = req.params;
-    const { username } = req.body;
-
-    if (!username) {
-      return res.status(400).json({ error: 'Username is required' });
-    }
+  if (replyId === undefined) return comment;
 
-    const { data: movieData, error: fetchError } = await supabase
-      .from('movies')
-      .select('*')
-      .eq('slug', slug)
-      .single();
+  const reply = await getComment(supabase, location, replyId);
+  if (!reply || !(await isReplyTo(supabase, reply, comment.id))) {
+    res.status(404).json({ error: 'Reply not found' });
+    return null;
+  }
+  return reply;
+}
 
-    if (fetchError || !movieData) {
-      return res.status(404).json({ error: 'Movie not found' });
-    }
+// Comments posted since these routes required login carry the author's email; older ones only a username
+function isCommentAuthor(req, comment) {
+  if (comment.user_email) return isSameUser(req, comment.user_email);
+  return Boolean(req.user.username) && String(comment.username || '').toLowerCase() === req.user.username.toLowerCase();
+}
 
-    const comments = Array.isArray(movieData.coments) ? movieData.coments : [];
-    const foundParent = findCommentById(comments, commentId);
-    
-    if (!foundParent) {
-      return res.status(404).json({ error: 'Comment not found' });
-    }
+// POST a comment, or a reply when the URL names the comment being replied to.
+// It is posted as the token's account; the body username only counts for accounts without one.
+function addComment(type) {
+  return async (req, res) => {
+    const isReply = req.params.commentId !== undefined;
+    try {
+      const { text } = req.body;
+      const username = req.user.username || req.body.username;
+
+      if (!username || !text) {
+        return res.status(400).json({ error: 'Username and text are required' });
+      }
 
-    const replies = foundParent.comment.replies || [];
-    const foundReply = findCommentById(replies, replyId);
-    
-    if (!foundReply) {
-      return res.status(404).json({ error: 'Reply not found' });
-    }
+      if (req.user.username && req.body.username && req.body.username.toLowerCase() !== req.user.username.toLowerCase()) {
+        return res.status(403).json({ error: 'Forbidden - You can only comment as yourself' });
+      }
 
-    if (foundReply.comment.username !== username) {
-      return res.status(403).json({ error: 'Unauthorized to delete this reply' });
-    }
+      const rateKey = req.user.email;
+      const retryAfter = commentRetryAfter(rateKey);
+      if (retryAfter > 0) {
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({ error: 'Too many comments - please wait before posting again' });
+      }
 
-    replies.splice(foundReply.index, 1);
-    foundParent.comment.replies = replies;
+      const target = await resolveCommentTarget(req, res, type);
+      if (!target) return;
+
+      const parent = isReply ? await resolveComment(req, res, target.location) : null;
+      if (isReply && !parent) return;
+
+      const { status, flags } = await screenComment(supabaseAdmin, { email: req.user.email, key: rateKey, content: text });
+      const mentioned = await resolveMentions(supabaseAdmin, text);
+      const row = await createComment(supabaseAdmin, {
+        ...target,
+        email: req.user.email,
+        username,
+        content: text,
+        parentId: parent ? parent.id : null,
+        isSpoiler: req.body.spoiler === true,
+        spoilerScope: commentSpoilerScope(target.location, null),
+        status,
+        moderationFlags: flags,
+        mentions: mentioned.map(user => user.username)
+      });
+      recordCommentPost(rateKey, text);
+      publishComment('comment.created', row);
+      notifyCommentRecipients(supabaseAdmin, row, { parent, mentioned });
 
-    const { error: updateError } = await supabaseAdmin
-      .from('movies')
-      .update({ coments: comments })
-      .eq('id', movieData.id);
+      if (status === 'visible') recordSignal(type, req.params.slug, 'comments');
 
-    if (updateError) {
-      throw updateError;
+      if (isReply) {
+        return res.json({ success: true, reply: { ...toLegacyComment(row), parentId: req.params.commentId }, ...moderationNotice(status) });
+      }
+      res.json({ success: true, comment: toLegacyComment(row), ...moderationNotice(status) });
+    } catch (error) {
+      console.error(isReply ? 'Error adding reply:' : 'Error adding comment:', error);
+      res.status(500).json({ error: isReply ? 'Failed to add reply' : 'Failed to add comment' });
     }
+  };
+}
 
-    res.json({ success: true });
-  } catch (error) {
-    console.error('Error deleting reply:', error);
-    res.status(500).json({ error: 'Failed to delete reply' });
-  }
-});
+// PATCH a comment or reply; the previous text is kept as edit history. Edits are screened
+// like new comments: a visible comment edited into flagged text goes back to review.
+function editComment(type) {
+  return async (req, res) => {
+    const noun = req.params.replyId !== undefined ? 'reply' : 'comment';
+    try {
+      const { text } = req.body;
 
-// PATCH: Edit reply on movie comment (supports nested replies)
-router.patch('/movies/:slug/comments/:commentId/replies/:replyId', async (req, res) => {
-  try {
-    const { slug, commentId, replyId } = req.params;
-    const { username, text } = req.body;
+      if (!text) {
+        return res.status(400).json({ error: 'Text is required' });
+      }
 
-    if (!username || !text) {
-      return res.status(400).json({ error: 'Username and text are required' });
-    }
+      const target = await resolveCommentTarget(req, res, type);
+      if (!target) return;
 
-    const { data: movieData, error: fetchError } = await supabase
-      .from('movies')
-      .select('*')
-      .eq('slug', slug)
-      .single();
+      const comment = await resolveComment(req, res, target.location);
+      if (!comment) return;
 
-    if (fetchError || !movieData) {
-      return res.status(404).json({ error: 'Movie not found' });
-    }
+      if (!isCommentAuthor(req, comment)) {
+        return res.status(403).json({ error: `Unauthorized to edit this ${noun}` });
+      }
 
-    const comments = Array.isArray(movieData.coments) ? movieData.coments : [];
-    const foundParent = findCommentById(comments, commentId);
-    
-    if (!foundParent) {
-      return res.status(404).json({ error: 'Comment not found' });
-    }
+      // Hidden, held and shadow comments keep their status; only visible ones can be pulled back
+      const screened = await screenComment(supabaseAdmin, { email: req.user.email, key: req.user.email, content: text });
+      const held = comment.status === 'visible' && screened.status !== 'visible';
 
-    const replies = foundParent.comment.replies || [];
-    const foundReply = findCommentById(replies, replyId);
-    
-    if (!foundReply) {
-      return res.status(404).json({ error: 'Reply not found' });
+      // Only users mentioned for the first time in this edit are notified
+      const mentioned = await resolveMentions(supabaseAdmin, text);
+      const row = await updateCommentContent(supabaseAdmin, comment.id, text, {
+        mentions: mentioned.map(user => user.username),
+        ...(held && { status: screened.status, moderationFlags: screened.flags })
+      });
+      if (held) publishCommentRemoval(row);
+      else publishComment('comment.updated', row);
+      notifyCommentRecipients(supabaseAdmin, row, {
+        mentioned: mentioned.filter(user => !(comment.mentions || []).includes(user.username))
+      });
+      res.json({ success: true, [noun]: toLegacyComment(row), ...(held ? moderationNotice(row.status) : {}) });
+    } catch (error) {
+      console.error(`Error editing ${noun}:`, error);
+      res.status(500).json({ error: `Failed to edit ${noun}` });
     }
+  };
+}
 
-    if (foundReply.comment.username !== username) {
-      return res.status(403).json({ error: 'Unauthorized to edit this reply' });
-    }
+function removeComment(type) {
+  return async (req, res) => {
+    const noun = req.params.replyId !== undefined ? 'reply' : 'comment';
+    try {
+      const target = await resolveCommentTarget(req, res, type);
+      if (!target) return;
 
-    foundReply.comment.text = text;
-    foundReply.comment.edited = true;
+      const comment = await resolveComment(req, res, target.location);
+      if (!comment) return;
 
-    const { error: updateError } = await supabaseAdmin
-      .from('movies')
-      .update({ coments: comments })
-      .eq('id', movieData.id);
+      if (!isCommentAuthor(req, comment)) {
+        return res.status(403).json({ error: `Unauthorized to delete this ${noun}` });
+      }
 
-    if (updateError) {
-      throw updateError;
+      await deleteComment(supabaseAdmin, comment.id);
+      if (comment.status === 'visible') publishCommentRemoval(comment);
+      res.json({ success: true });
+    } catch (error) {
+      console.error(`Error deleting ${noun}:`, error);
+      res.status(500).json({ error: `Failed to delete ${noun}` });
     }
+  };
+}
 
-    res.json({ success: true, reply: foundReply.comment });
-  } catch (error) {
-    console.error('Error editing reply:', error);
-    res.status(500).json({ error: 'Failed to edit reply' });
-  }
+Object.entries(COMMENT_PATHS).forEach(([type, path]) => {
+  router.post(path, verifyToken, addComment(type));
+  router.patch(`${path}/:commentId`, verifyToken, editComment(type));
+  router.delete(`${path}/:commentId`, verifyToken, removeComment(type));
+  router.post(`${path}/:commentId/replies`, verifyToken, addComment(type));
+  router.patch(`${path}/:commentId/replies/:replyId`, verifyToken, editComment(type));
+  router.delete(`${path}/:commentId/replies/:replyId`, verifyToken, removeComment(type));
 });
 
 export default router;
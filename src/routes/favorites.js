@@ -1,5 +1,8 @@
 import { createClient } from '@supabase/supabase-js';
 import express from 'express';
+import { recordSignal } from '../trending.js';
+import { loadFavorites, parseFavorites } from '../user-data.js';
+import { verifyToken, checkSameUser } from '../auth-middleware.js';
 
 const router = express.Router();
 
@@ -8,63 +11,13 @@ const supabaseKey = process.env.SUPABASE_ANON_KEY;
 
 const supabase = createClient(supabaseUrl, supabaseKey);
 
-// Middleware to verify auth token
-const verifyToken = (req, res, next) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  if (!token) {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
-  next();
-};
-
-// Get favorites for user
+// Get favorites for user (only the token's own account)
 router.get('/favorites/:email', verifyToken, async (req, res) => {
-  const { email } = req.params;
-
-  if (!email) {
-    return res.status(400).json({ error: 'Email required' });
-  }
+  if (!checkSameUser(req, res, req.params.email)) return;
+  const email = req.user.email;
 
   try {
-    // Get user data from user_data table
-    const { data, error } = await supabase
-      .from('user_data')
-      .select('watched')
-      .eq('email', email);
-
-    if (error) {
-      console.error('Error fetching favorites:', error);
-      // User might not exist yet, return empty array
-      return res.json({ success: true, data: [] });
-    }
-
-    // Parse the watched JSONB field - it should contain array of favorites
-    if (!data || data.length === 0) {
-      return res.json({ success: true, data: [] });
-    }
-
-    let favorites = [];
-    let watched = data[0]?.watched;
-    
-    // Handle if watched is a string (stringified JSON)
-    if (typeof watched === 'string') {
-      try {
-        watched = JSON.parse(watched);
-      } catch (e) {
-        console.error('Failed to parse watched as JSON:', e);
-        watched = null;
-      }
-    }
-    
-    // Convert to array if needed
-    if (watched) {
-      if (Array.isArray(watched)) {
-        favorites = watched;
-      } else if (typeof watched === 'object') {
-        favorites = [watched];
-      }
-    }
-    
+    const favorites = await loadFavorites(supabase, email);
     res.json({ success: true, data: favorites });
   } catch (error) {
     console.error('Error fetching favorites:', error);
@@ -72,17 +25,20 @@ router.get('/favorites/:email', verifyToken, async (req, res) => {
   }
 });
 
-// Add to favorites
+// Add to favorites for the token's account; a body email must match it
 router.post('/favorites', verifyToken, async (req, res) => {
-  const { email, slug, series_slug, movie_slug, title, poster, series_name, poster_image, type } = req.body;
+  const { slug, series_slug, movie_slug, title, poster, series_name, poster_image, type } = req.body;
+
+  if (!checkSameUser(req, res, req.body.email)) return;
+  const email = req.user.email;
   
   // Handle both field naming conventions
   const finalSlug = slug || series_slug || movie_slug;
   const finalPoster = poster || poster_image;
   const finalTitle = title || series_name;
 
-  if (!email || !finalSlug) {
-    return res.status(400).json({ error: 'Email and slug required' });
+  if (!finalSlug) {
+    return res.status(400).json({ error: 'Slug required' });
   }
 
   try {
@@ -114,26 +70,8 @@ router.post('/favorites', verifyToken, async (req, res) => {
     // Parse existing favorites - handle all cases including stringified JSON
     let favorites = [];
     if (userData && userData.length > 0) {
-      let watched = userData[0]?.watched;
-      console.log('Raw watched data:', watched, 'Type:', typeof watched);
-      
-      // Handle if watched is a string (stringified JSON)
-      if (typeof watched === 'string') {
-        try {
-          watched = JSON.parse(watched);
-        } catch (e) {
-          console.error('Failed to parse watched as JSON:', e);
-          watched = null;
-        }
-      }
-      
-      // Now handle the parsed data
-      if (watched && Array.isArray(watched)) {
-        favorites = [...watched]; // Create a copy of the array
-      } else if (watched && typeof watched === 'object') {
-        // If it's an object, convert it to an array
-        favorites = [watched];
-      }
+      console.log('Raw watched data:', userData[0]?.watched, 'Type:', typeof userData[0]?.watched);
+      favorites = [...parseFavorites(userData[0]?.watched)];
     }
     console.log('Current favorites array:', JSON.stringify(favorites, null, 2));
 
@@ -159,6 +97,7 @@ router.post('/favorites', verifyToken, async (req, res) => {
 
     if (!exists) {
       favorites.push(newFavorite);
+      recordSignal(newFavorite.type, finalSlug, 'favorites');
       console.log('Updated favorites array:', JSON.stringify(favorites, null, 2));
     }
 
@@ -205,13 +144,12 @@ router.post('/favorites', verifyToken, async (req, res) => {
   }
 });
 
-// Remove from favorites
+// Remove from favorites (only the token's own account)
 router.delete('/favorites/:email/:slug', verifyToken, async (req, res) => {
-  const { email, slug } = req.params;
+  const { slug } = req.params;
 
-  if (!email || !slug) {
-    return res.status(400).json({ error: 'Email and slug required' });
-  }
+  if (!checkSameUser(req, res, req.params.email)) return;
+  const email = req.user.email;
 
   try {
     // Get existing user data
@@ -0,0 +1,131 @@
+import { createClient } from '@supabase/supabase-js';
+import express from 'express';
+import { CONFIG } from '../config.js';
+import { loadCatalogRows, loadLatestEpisodes } from '../catalog.js';
+import { FEED_FORMATS, episodeGuid, renderFeed } from '../feeds.js';
+import { homeUrl, seriesUrl, episodeUrl } from '../site-urls.js';
+import { sendCached, latestTimestamp } from '../http-cache.js';
+import { cached, cacheKeys, CACHE_TTLS } from '../cache.js';
+
+const router = express.Router();
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_ANON_KEY;
+
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+const SERIES_FEED_SIZE = 50;
+
+function requestUrl(req) {
+  return `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+}
+
+function episodeTitle(seriesTitle, season, episode, title) {
+  const code = `S${season}E${episode}`;
+  return title ? `${seriesTitle} ${code} - ${title}` : `${seriesTitle} ${code}`;
+}
+
+// Publish date of a row, or null when its timestamp is missing or unreadable. Such rows are
+// left out of the feeds, since every item needs a date.
+function publishedAt(value) {
+  const date = new Date(value);
+  return value && !Number.isNaN(date.getTime()) ? date : null;
+}
+
+// rows: latest_episodes (added_at) or episodes (created_at), for Last-Modified
+function sendFeed(req, res, feed, rows) {
+  const { format } = req.params;
+  const lastModified = latestTimestamp(rows, 'added_at');
+
+  sendCached(req, res, renderFeed({ ...feed, updated: lastModified || new Date(0) }, format), {
+    policy: 'latest',
+    type: FEED_FORMATS[format],
+    lastModified
+  });
+}
+
+// Newly added episodes across the site (latest_episodes)
+router.get('/feeds/latest.:format', async (req, res) => {
+  if (!FEED_FORMATS[req.params.format]) {
+    return res.status(404).json({ error: 'Unknown feed format. Use rss, atom or json' });
+  }
+
+  try {
+    const rows = await loadLatestEpisodes(supabase);
+    const { series } = await loadCatalogRows(supabase);
+    const posters = new Map(series.map(row => [row.slug, row.poster]));
+
+    const items = rows.map(ep => ({
+      id: episodeGuid(ep.series_slug, ep.season, ep.episode),
+      title: episodeTitle(ep.series_title || ep.series_slug, ep.season, ep.episode, ep.episode_title),
+      url: episodeUrl(ep.series_slug, ep.season, ep.episode),
+      summary: `New episode of ${ep.series_title || ep.series_slug}`,
+      published: publishedAt(ep.added_at),
+      image: ep.thumbnail || posters.get(ep.series_slug) || null
+    })).filter(item => item.published);
+
+    sendFeed(req, res, {
+      title: `${CONFIG.site.name} - New Episodes`,
+      description: `Episodes newly added to ${CONFIG.site.name}`,
+      author: CONFIG.site.name,
+      link: homeUrl(),
+      feedUrl: requestUrl(req),
+      items
+    }, rows);
+  } catch (error) {
+    console.error('Error building latest feed:', error);
+    res.status(500).json({ error: 'Failed to build feed' });
+  }
+});
+
+// Most recently added episodes of one series (episodes table)
+router.get('/feeds/series/:slug.:format', async (req, res) => {
+  if (!FEED_FORMATS[req.params.format]) {
+    return res.status(404).json({ error: 'Unknown feed format. Use rss, atom or json' });
+  }
+
+  try {
+    const { slug } = req.params;
+    const { series } = await loadCatalogRows(supabase);
+    const show = series.find(row => row.slug === slug);
+
+    if (!show) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    const episodes = await cached(cacheKeys.seriesFeed(slug), CACHE_TTLS.series, async () => {
+      const { data, error } = await supabase
+        .from('episodes')
+        .select('season, episode, episode_title, description, thumbnail, episode_card_thumbnail, created_at')
+        .eq('series_slug', slug)
+        .order('created_at', { ascending: false })
+        .limit(SERIES_FEED_SIZE);
+
+      if (error) throw error;
+      return data || [];
+    });
+
+    const items = episodes.map(ep => ({
+      id: episodeGuid(slug, ep.season, ep.episode),
+      title: episodeTitle(show.title, ep.season, ep.episode, ep.episode_title || ep.title),
+      url: episodeUrl(slug, ep.season, ep.episode),
+      summary: ep.description || `New episode of ${show.title}`,
+      published: publishedAt(ep.created_at),
+      image: ep.episode_card_thumbnail || ep.thumbnail || show.poster || null
+    })).filter(item => item.published);
+
+    sendFeed(req, res, {
+      title: `${show.title} - ${CONFIG.site.name}`,
+      description: show.description || `New episodes of ${show.title}`,
+      author: CONFIG.site.name,
+      link: seriesUrl(slug),
+      feedUrl: requestUrl(req),
+      items
+    }, episodes);
+  } catch (error) {
+    console.error('Error building series feed:', error);
+    res.status(500).json({ error: 'Failed to build feed' });
+  }
+});
+
+export default router;
@@ -0,0 +1,83 @@
+import { createClient } from '@supabase/supabase-js';
+import express from 'express';
+import { parse, validate, execute, specifiedRules, GraphQLError } from 'graphql';
+import { CONFIG } from '../config.js';
+import { createSchema } from '../graphql/schema.js';
+import { createLoaders } from '../graphql/loaders.js';
+import { depthLimitRule, complexityLimitRule } from '../graphql/limits.js';
+import { authenticate } from '../auth-middleware.js';
+
+const router = express.Router();
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_ANON_KEY;
+
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+const schema = createSchema();
+
+function parseVariables(variables) {
+  if (typeof variables !== 'string') return variables || {};
+  return JSON.parse(variables);
+}
+
+async function runQuery(req, res, { query, variables, operationName }, { queriesOnly = false } = {}) {
+  if (!query || typeof query !== 'string') {
+    return res.status(400).json({ errors: [{ message: 'query is required' }] });
+  }
+
+  let document;
+  let variableValues;
+  try {
+    document = parse(query);
+    variableValues = parseVariables(variables);
+  } catch (error) {
+    const syntaxError = error instanceof GraphQLError ? error : new GraphQLError('variables must be a JSON object');
+    return res.status(400).json({ errors: [syntaxError] });
+  }
+
+  const rules = [
+    ...specifiedRules,
+    depthLimitRule(CONFIG.graphql.maxDepth),
+    complexityLimitRule(CONFIG.graphql.maxComplexity, variableValues)
+  ];
+  const validationErrors = validate(schema, document, rules);
+  if (validationErrors.length > 0) {
+    return res.status(400).json({ errors: validationErrors });
+  }
+
+  if (queriesOnly) {
+    const operations = document.definitions.filter(def => def.kind === 'OperationDefinition');
+    const operation = operationName
+      ? operations.find(def => def.name?.value === operationName)
+      : operations[0];
+    if (operation && operation.operation !== 'query') {
+      res.set('Allow', 'POST');
+      return res.status(405).json({ errors: [{ message: 'Only queries can be sent with GET' }] });
+    }
+  }
+
+  try {
+    const result = await execute({
+      schema,
+      document,
+      variableValues,
+      operationName,
+      contextValue: {
+        supabase,
+        loaders: createLoaders(supabase),
+        user: await authenticate(req)
+      }
+    });
+    res.json(result);
+  } catch (error) {
+    console.error('Error executing GraphQL query:', error);
+    res.status(500).json({ errors: [{ message: 'Failed to execute query' }] });
+  }
+}
+
+router.post('/graphql', (req, res) => runQuery(req, res, req.body || {}));
+
+router.get('/graphql', (req, res) => runQuery(req, res, req.query, { queriesOnly: true }));
+
+export default router;
@@ -0,0 +1,42 @@
+import express from 'express';
+import { IMAGE_PRESETS, IMAGE_FORMATS, isAllowedSource, pickImageFormat, getProxiedImage } from '../image-proxy.js';
+import { sendCached } from '../http-cache.js';
+
+const router = express.Router();
+
+// Resized, re-encoded copy of an allowed poster/thumbnail URL
+router.get('/img', async (req, res) => {
+  const { url, preset = 'card', format: requestedFormat } = req.query;
+
+  if (!url || typeof url !== 'string') {
+    return res.status(400).json({ error: 'url required' });
+  }
+
+  if (!IMAGE_PRESETS[preset]) {
+    return res.status(400).json({ error: `preset must be one of: ${Object.keys(IMAGE_PRESETS).join(', ')}` });
+  }
+
+  const format = pickImageFormat(requestedFormat, req.get('accept'));
+  if (!format) {
+    return res.status(400).json({ error: `format must be one of: ${IMAGE_FORMATS.join(', ')}` });
+  }
+
+  if (!isAllowedSource(url)) {
+    return res.status(403).json({ error: 'Image host not allowed' });
+  }
+
+  try {
+    const image = await getProxiedImage(url, preset, format);
+
+    if (!requestedFormat) res.set('Vary', 'Accept');
+    sendCached(req, res, image, { policy: 'image', type: `image/${format}` });
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    console.error('Error proxying image:', { url, preset, format, message: error.message });
+    res.status(502).json({ error: 'Failed to fetch image' });
+  }
+});
+
+export default router;
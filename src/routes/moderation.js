@@ -0,0 +1,122 @@
+import { createClient } from '@supabase/supabase-js';
+import crypto from 'crypto';
+import express from 'express';
+import { CONFIG } from '../config.js';
+import { getComment, deleteComment } from '../comments-store.js';
+import {
+  COMMENT_STATUSES,
+  loadModerationQueue,
+  approveComment,
+  banCommenter,
+  unbanCommenter
+} from '../comment-moderation.js';
+import { publishComment, publishCommentRemoval } from '../comment-stream.js';
+
+const router = express.Router();
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+// Moderators act on other users' comments, so these routes use the service key.
+// The anon key only keeps the server starting without it; moderation then fails.
+const supabaseAdmin = createClient(supabaseUrl, supabaseServiceKey || process.env.SUPABASE_ANON_KEY);
+
+// Constant-time comparison, so response timing doesn't reveal how much of the token matched
+function isAdminToken(token, adminToken) {
+  const given = Buffer.from(String(token || ''));
+  const expected = Buffer.from(adminToken);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Every moderation route needs the MODERATION_ADMIN_TOKEN shared secret
+router.use('/moderation', (req, res, next) => {
+  const { adminToken } = CONFIG.moderation;
+
+  if (!adminToken || !isAdminToken(req.headers['x-moderation-token'], adminToken)) {
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+  next();
+});
+
+// GET: Comments awaiting review, most reported first, each with its reports.
+// ?status=pending,hidden (default) &limit=&offset=
+router.get('/moderation/queue', async (req, res) => {
+  const statuses = String(req.query.status || 'pending,hidden').split(',').map(s => s.trim()).filter(Boolean);
+  if (statuses.length === 0 || statuses.some(status => !COMMENT_STATUSES.includes(status))) {
+    return res.status(400).json({ error: `Invalid status. Use any of: ${COMMENT_STATUSES.join(', ')}` });
+  }
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+  try {
+    const { items, total } = await loadModerationQueue(supabaseAdmin, { statuses, limit, offset });
+    res.json({ success: true, data: items, total, limit, offset });
+  } catch (error) {
+    console.error('Error fetching moderation queue:', error);
+    res.status(500).json({ error: 'Failed to fetch moderation queue' });
+  }
+});
+
+// POST: Approve a held or hidden comment; its reports are cleared
+router.post('/moderation/comments/:id/approve', async (req, res) => {
+  try {
+    const comment = await getComment(supabaseAdmin, null, req.params.id);
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    const data = await approveComment(supabaseAdmin, comment.id);
+    if (comment.status !== 'visible') publishComment('comment.created', data);
+    res.json({ success: true, data });
+  } catch (error) {
+    console.error('Error approving comment:', error);
+    res.status(500).json({ error: 'Failed to approve comment' });
+  }
+});
+
+// DELETE: Remove a comment and its replies
+router.delete('/moderation/comments/:id', async (req, res) => {
+  try {
+    const comment = await getComment(supabaseAdmin, null, req.params.id);
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+
+    await deleteComment(supabaseAdmin, comment.id);
+    if (comment.status === 'visible') publishCommentRemoval(comment);
+    res.json({ success: true, message: 'Comment deleted' });
+  } catch (error) {
+    console.error('Error deleting comment:', error);
+    res.status(500).json({ error: 'Failed to delete comment' });
+  }
+});
+
+// POST: Shadow-ban an account. { reason, hide_existing: true } also hides its visible comments.
+router.post('/moderation/users/:email/ban', async (req, res) => {
+  const { email } = req.params;
+  const { reason, hide_existing } = req.body || {};
+
+  try {
+    const hidden = await banCommenter(supabaseAdmin, email, { reason: reason || null, hideExisting: hide_existing === true });
+    hidden.forEach(publishCommentRemoval);
+    res.json({ success: true, message: `${email} is shadow-banned` });
+  } catch (error) {
+    console.error('Error banning user:', error);
+    res.status(500).json({ error: 'Failed to ban user' });
+  }
+});
+
+// DELETE: Lift a shadow ban and make the account's shadow comments visible again
+router.delete('/moderation/users/:email/ban', async (req, res) => {
+  try {
+    const restored = await unbanCommenter(supabaseAdmin, req.params.email);
+    restored.forEach(comment => publishComment('comment.created', comment));
+    res.json({ success: true, message: `${req.params.email} is no longer banned` });
+  } catch (error) {
+    console.error('Error lifting ban:', error);
+    res.status(500).json({ error: 'Failed to lift ban' });
+  }
+});
+
+export default router;
@@ -0,0 +1,66 @@
+import { createClient } from '@supabase/supabase-js';
+import express from 'express';
+import { loadNotifications, countUnreadNotifications, markNotificationsRead } from '../comment-notifications.js';
+import { verifyToken, checkSameUser } from '../auth-middleware.js';
+
+const router = express.Router();
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
+
+// notifications has RLS with no policies, so only the service key can read it
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+const DEFAULT_NOTIFICATION_PAGE_SIZE = 20;
+const MAX_NOTIFICATION_PAGE_SIZE = 100;
+
+// GET: Notifications for a user, newest first.
+// ?unread=true for unread only; ?before=<id> (nextBefore of the previous page) for older ones
+router.get('/notifications/:email', verifyToken, async (req, res) => {
+  if (!checkSameUser(req, res, req.params.email)) return;
+  const email = req.user.email;
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_NOTIFICATION_PAGE_SIZE, 1), MAX_NOTIFICATION_PAGE_SIZE);
+
+  let before = null;
+  if (req.query.before !== undefined) {
+    before = parseInt(req.query.before);
+    if (!Number.isInteger(before)) {
+      return res.status(400).json({ error: 'Invalid before' });
+    }
+  }
+
+  try {
+    const [data, unread] = await Promise.all([
+      loadNotifications(supabase, email, { unreadOnly: req.query.unread === 'true', limit, before }),
+      countUnreadNotifications(supabase, email)
+    ]);
+    const nextBefore = data.length === limit ? data[data.length - 1].id : null;
+    res.json({ success: true, data, unread, nextBefore });
+  } catch (error) {
+    console.error('Error fetching notifications:', error);
+    res.status(500).json({ error: 'Failed to fetch notifications' });
+  }
+});
+
+// POST: Mark notifications read: { ids: [...] }, or all of them when ids is omitted
+router.post('/notifications/:email/read', verifyToken, async (req, res) => {
+  const { ids } = req.body || {};
+
+  if (!checkSameUser(req, res, req.params.email)) return;
+  const email = req.user.email;
+
+  if (ids !== undefined && (!Array.isArray(ids) || ids.length === 0)) {
+    return res.status(400).json({ error: 'ids must be a non-empty array' });
+  }
+
+  try {
+    await markNotificationsRead(supabase, email, ids || null);
+    res.json({ success: true, unread: await countUnreadNotifications(supabase, email) });
+  } catch (error) {
+    console.error('Error marking notifications read:', error);
+    res.status(500).json({ error: 'Failed to mark notifications read' });
+  }
+});
+
+export default router;
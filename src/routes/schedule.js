@@ -0,0 +1,147 @@
+import { createClient } from '@supabase/supabase-js';
+import express from 'express';
+import { CONFIG } from '../config.js';
+import { loadCatalogRows } from '../catalog.js';
+import { parseScheduleRange, buildSchedule, CADENCE_HISTORY_DAYS } from '../schedule.js';
+import { buildCalendar } from '../ics.js';
+import { sendCached } from '../http-cache.js';
+import { cached, cacheKeys, CACHE_TTLS } from '../cache.js';
+
+const router = express.Router();
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_ANON_KEY;
+
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+// Calendar subscriptions cover a month either side of today
+const ICS_WINDOW_DAYS = 30;
+
+function utcDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// episode_releases from CADENCE_HISTORY_DAYS before the range (for cadence) up to its end.
+// Bounds are whole days so the cache key doesn't change on every request.
+async function loadReleases(slug, from, to, now) {
+  const fromDay = utcDay(new Date(Math.min(from.getTime(), now.getTime()) - CADENCE_HISTORY_DAYS * DAY_MS));
+  const toDay = utcDay(new Date(to.getTime() + DAY_MS));
+
+  return cached(cacheKeys.releases(slug, fromDay, toDay), CACHE_TTLS.library, async () => {
+    let query = supabase
+      .from('episode_releases')
+      .select('*')
+      .gte('released_at', fromDay)
+      .lt('released_at', toDay)
+      .order('released_at');
+
+    if (slug) {
+      query = query.eq('series_slug', slug);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  });
+}
+
+async function loadSchedule({ slug, from, to }) {
+  const now = new Date();
+  const [releases, catalog] = await Promise.all([
+    loadReleases(slug, from, to, now),
+    loadCatalogRows(supabase)
+  ]);
+
+  const series = slug ? catalog.series.filter(row => row.slug === slug) : catalog.series;
+  return { series, items: buildSchedule({ releases, series, from, to, now }) };
+}
+
+function calendarHost() {
+  return CONFIG.site.url ? new URL(CONFIG.site.url).hostname : 'aniverse';
+}
+
+function toCalendarEvent(item) {
+  const descriptions = {
+    site: 'Available now',
+    tmdb: 'Expected air date (TMDB)',
+    history: 'Estimated from the usual release schedule'
+  };
+
+  return {
+    uid: `${item.seriesSlug}-s${item.season}e${item.episode}@${calendarHost()}`,
+    start: new Date(item.at),
+    allDay: item.allDay,
+    summary: `${item.seriesTitle} S${item.season}E${item.episode}${item.title ? ` - ${item.title}` : ''}`,
+    description: descriptions[item.source],
+    url: item.url,
+    tentative: item.source === 'history'
+  };
+}
+
+async function sendCalendar(req, res, { slug, name }) {
+  const now = new Date();
+  const from = new Date(now.getTime() - ICS_WINDOW_DAYS * DAY_MS);
+  const to = new Date(now.getTime() + ICS_WINDOW_DAYS * DAY_MS);
+
+  const { series, items } = await loadSchedule({ slug, from, to });
+  if (slug && series.length === 0) {
+    return res.status(404).json({ error: 'Series not found' });
+  }
+
+  const calendar = buildCalendar({
+    name: name(series[0]),
+    events: items.map(toCalendarEvent),
+    // DTSTAMP rounded to the hour so the ETag stays stable between polls
+    now: new Date(Math.floor(now.getTime() / HOUR_MS) * HOUR_MS)
+  });
+
+  res.set('Content-Disposition', `inline; filename="${slug || 'schedule'}.ics"`);
+  sendCached(req, res, calendar, { policy: 'schedule', type: 'text/calendar; charset=utf-8' });
+}
+
+// Get released and expected episodes between from and to (ISO dates)
+router.get('/schedule', async (req, res) => {
+  try {
+    const { from, to, error } = parseScheduleRange(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { items } = await loadSchedule({ slug: req.query.series || null, from, to });
+
+    sendCached(req, res, { from: from.toISOString(), to: to.toISOString(), items }, { policy: 'schedule' });
+  } catch (error) {
+    console.error('Error fetching schedule:', error);
+    res.status(500).json({ error: 'Failed to fetch schedule' });
+  }
+});
+
+// Calendar feed for every series (or ?series=slug)
+router.get('/schedule.ics', async (req, res) => {
+  try {
+    await sendCalendar(req, res, {
+      slug: req.query.series || null,
+      name: series => (req.query.series && series ? `${series.title} - ${CONFIG.site.name}` : `${CONFIG.site.name} Releases`)
+    });
+  } catch (error) {
+    console.error('Error building schedule calendar:', error);
+    res.status(500).json({ error: 'Failed to build schedule calendar' });
+  }
+});
+
+// Calendar feed for one series
+router.get('/series/:slug/schedule.ics', async (req, res) => {
+  try {
+    await sendCalendar(req, res, {
+      slug: req.params.slug,
+      name: series => `${series.title} - ${CONFIG.site.name}`
+    });
+  } catch (error) {
+    console.error('Error building schedule calendar:', error);
+    res.status(500).json({ error: 'Failed to build schedule calendar' });
+  }
+});
+
+export default router;
@@ -0,0 +1,237 @@
+import { createClient } from '@supabase/supabase-js';
+import express from 'express';
+import { CONFIG } from '../config.js';
+import { loadCatalogRows, loadEpisode } from '../catalog.js';
+import { buildGenreCatalog, genreSlug } from '../genres.js';
+import { SITEMAP_PAGE_SIZE, SITEMAP_KINDS, parseSitemapName, pageCount, renderSitemapIndex, renderUrlSet } from '../sitemap.js';
+import { siteUrl, homeUrl, seriesUrl, episodeUrl, movieUrl, parseSitePath } from '../site-urls.js';
+import { sendCached, latestTimestamp } from '../http-cache.js';
+import { cached, cacheKeys, CACHE_TTLS } from '../cache.js';
+
+const router = express.Router();
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_ANON_KEY;
+
+let supabase = createClient(supabaseUrl, supabaseKey);
+
+// Swaps the client these routes use, e.g. for a stub in tests
+export function setSeoClient(client) {
+  supabase = client;
+}
+
+const SITEMAP_TYPE = 'application/xml; charset=utf-8';
+const DESCRIPTION_LENGTH = 160;
+
+function apiUrl(req, path) {
+  return `${req.protocol}://${req.get('host')}${path}`;
+}
+
+// Sitemap kind -> table and the columns its URLs need
+const SITEMAP_SOURCES = {
+  series: { table: 'series', columns: 'slug, updated_at, created_at' },
+  episodes: { table: 'episodes', columns: 'series_slug, season, episode, updated_at, created_at' },
+  movies: { table: 'movies', columns: 'slug, updated_at, created_at' }
+};
+
+async function countRows(kind) {
+  return cached(cacheKeys.sitemap(`${kind}-count`), CACHE_TTLS.sitemap, async () => {
+    const { count, error } = await supabase
+      .from(SITEMAP_SOURCES[kind].table)
+      .select('id', { count: 'exact', head: true });
+
+    if (error) throw error;
+    return count || 0;
+  });
+}
+
+// One page of rows straight from the table, so no page depends on the 1000-row select cap
+async function loadSitemapPage(kind, page) {
+  return cached(cacheKeys.sitemap(`${kind}-${page}`), CACHE_TTLS.sitemap, async () => {
+    const { table, columns } = SITEMAP_SOURCES[kind];
+    const start = (page - 1) * SITEMAP_PAGE_SIZE;
+    const { data, error } = await supabase
+      .from(table)
+      .select(columns)
+      .order('id')
+      .range(start, start + SITEMAP_PAGE_SIZE - 1);
+
+    if (error) throw error;
+    return data || [];
+  });
+}
+
+// Sitemap index pointing at the paged series, episodes and movies sitemaps
+router.get('/sitemap.xml', async (req, res) => {
+  if (!CONFIG.site.url) {
+    return res.status(503).json({ error: 'SITE_URL is not configured' });
+  }
+
+  try {
+    const entries = [];
+    for (const kind of SITEMAP_KINDS) {
+      const pages = pageCount(await countRows(kind));
+      for (let page = 1; page <= pages; page++) {
+        // Episode pages are left without lastmod rather than loading every page of episodes
+        const rows = kind === 'episodes' ? null : await loadSitemapPage(kind, page);
+        entries.push({
+          loc: apiUrl(req, `/sitemaps/${kind}-${page}.xml`),
+          lastmod: rows ? latestTimestamp(rows) : null
+        });
+      }
+    }
+
+    sendCached(req, res, renderSitemapIndex(entries), { policy: 'sitemap', type: SITEMAP_TYPE });
+  } catch (error) {
+    console.error('Error building sitemap index:', error);
+    res.status(500).json({ error: 'Failed to build sitemap' });
+  }
+});
+
+// One page of series, episode or movie URLs, e.g. /sitemaps/episodes-2.xml
+router.get('/sitemaps/:name.xml', async (req, res) => {
+  const parsed = parseSitemapName(req.params.name);
+  if (!parsed) {
+    return res.status(404).json({ error: `Unknown sitemap. Use ${SITEMAP_KINDS.map(kind => `${kind}-<page>`).join(', ')}` });
+  }
+  if (!CONFIG.site.url) {
+    return res.status(503).json({ error: 'SITE_URL is not configured' });
+  }
+
+  try {
+    const { kind, page } = parsed;
+    const toUrl = {
+      series: row => seriesUrl(row.slug),
+      episodes: ep => episodeUrl(ep.series_slug, ep.season, ep.episode),
+      movies: row => movieUrl(row.slug)
+    }[kind];
+
+    const rows = await loadSitemapPage(kind, page);
+    const urls = rows.map(row => ({ loc: toUrl(row), lastmod: row.updated_at || row.created_at }));
+
+    if (urls.length === 0 && page > 1) {
+      return res.status(404).json({ error: 'Sitemap page not found' });
+    }
+
+    sendCached(req, res, renderUrlSet(urls), { policy: 'sitemap', type: SITEMAP_TYPE });
+  } catch (error) {
+    console.error('Error building sitemap:', error);
+    res.status(500).json({ error: 'Failed to build sitemap' });
+  }
+});
+
+function truncate(text, length = DESCRIPTION_LENGTH) {
+  const clean = String(text || '').replace(/\s+/g, ' ').trim();
+  if (clean.length <= length) return clean;
+  const cut = clean.slice(0, length - 1);
+  return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length)}…`;
+}
+
+function defaultMeta(url) {
+  return {
+    title: CONFIG.site.name,
+    description: `Watch anime and cartoon series and movies on ${CONFIG.site.name}.`,
+    image: null,
+    url,
+    type: 'website'
+  };
+}
+
+// Title/description/image for one frontend route (from parseSitePath), or null when the title doesn't exist
+async function metaForRoute(route, path) {
+  const { series, movies } = await loadCatalogRows(supabase);
+  const site = CONFIG.site.name;
+
+  if (route.type === 'series' || route.type === 'episode') {
+    const show = series.find(row => row.slug === route.slug);
+    if (!show) return null;
+
+    if (route.type === 'series') {
+      return {
+        title: `${show.title} - ${site}`,
+        description: truncate(show.description) || `Watch ${show.title} on ${site}.`,
+        image: show.banner_image || show.poster || null,
+        url: seriesUrl(show.slug),
+        type: 'video.tv_show'
+      };
+    }
+
+    const ep = await loadEpisode(supabase, route.slug, route.season, route.episode);
+    if (!ep) return null;
+
+    const code = `S${ep.season}E${ep.episode}`;
+    return {
+      title: `${show.title} ${code}${ep.episode_title ? ` - ${ep.episode_title}` : ''} - ${site}`,
+      description: truncate(ep.description || show.description) || `Watch ${show.title} ${code} on ${site}.`,
+      image: ep.episode_main_poster || ep.episode_card_thumbnail || ep.thumbnail || show.banner_image || show.poster || null,
+      url: episodeUrl(show.slug, ep.season, ep.episode),
+      type: 'video.episode'
+    };
+  }
+
+  if (route.type === 'movie') {
+    const movie = movies.find(row => row.slug === route.slug);
+    if (!movie) return null;
+
+    return {
+      title: `${movie.title} - ${site}`,
+      description: truncate(movie.description) || `Watch ${movie.title} on ${site}.`,
+      image: movie.banner_image || movie.poster || null,
+      url: movieUrl(movie.slug),
+      type: 'video.movie'
+    };
+  }
+
+  if (route.type === 'genre') {
+    const genre = buildGenreCatalog({ series, movies }).find(g => g.slug === genreSlug(route.slug));
+    if (!genre) return null;
+
+    return {
+      title: `${genre.name} - ${site}`,
+      description: `${genre.count} ${genre.name} series and movies on ${site}.`,
+      image: genre.poster,
+      url: siteUrl(`/genres/${genre.slug}`),
+      type: 'website'
+    };
+  }
+
+  return defaultMeta(route.type === 'home' ? homeUrl() : siteUrl(path));
+}
+
+// Meta tags for a frontend route, for the edge renderer to inject into the SPA shell
+router.get('/api/meta', async (req, res) => {
+  const path = req.query.path;
+  if (!path || !String(path).startsWith('/')) {
+    return res.status(400).json({ error: 'path is required and must start with /' });
+  }
+
+  const route = parseSitePath(String(path));
+  if (!route) {
+    return res.status(400).json({ error: 'path is not a valid URL path' });
+  }
+
+  try {
+    const meta = await metaForRoute(route, String(path));
+    if (!meta) {
+      return res.status(404).json({ error: 'Not found', ...defaultMeta(homeUrl()) });
+    }
+
+    const tags = [
+      { property: 'og:title', content: meta.title },
+      { property: 'og:description', content: meta.description },
+      { property: 'og:type', content: meta.type },
+      { property: 'og:site_name', content: CONFIG.site.name },
+      meta.url ? { property: 'og:url', content: meta.url } : null,
+      meta.image ? { property: 'og:image', content: meta.image } : null,
+      { name: 'twitter:card', content: meta.image ? 'summary_large_image' : 'summary' },
+      { name: 'description', content: meta.description }
+    ].filter(Boolean);
+
+    sendCached(req, res, { ...meta, siteName: CONFIG.site.name, tags }, { policy: 'meta' });
+  } catch (error) {
+    console.error('Error building meta:', error);
+    res.status(500).json({ error: 'Failed to build meta' });
+  }
+});
+
+export default router;
@@ -1,5 +1,8 @@
 import { createClient } from '@supabase/supabase-js';
 import express from 'express';
+import { recordSignal } from '../trending.js';
+import { loadWatchHistory } from '../user-data.js';
+import { verifyToken, checkSameUser } from '../auth-middleware.js';
 
 const router = express.Router();
 
@@ -8,19 +11,9 @@ const supabaseKey = process.env.SUPABASE_ANON_KEY;
 
 const supabase = createClient(supabaseUrl, supabaseKey);
 
-// Middleware to verify auth token
-const verifyToken = (req, res, next) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  if (!token) {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
-  next();
-};
-
-// Add to watch history
+// Add to watch history for the token's account; a body email must match it
 router.post('/watch-history', verifyToken, async (req, res) => {
   const { 
-    email, 
     series_slug,
     movie_slug,
     series_name,
@@ -33,9 +26,8 @@ router.post('/watch-history', verifyToken, async (req, res) => {
     type 
   } = req.body;
 
-  if (!email) {
-    return res.status(400).json({ error: 'Email required' });
-  }
+  if (!checkSameUser(req, res, req.body.email)) return;
+  const email = req.user.email;
 
   try {
     // Build insert data - store jsonb fields as JSON objects per schema
@@ -67,6 +59,9 @@ router.post('/watch-history', verifyToken, async (req, res) => {
       return res.json({ success: true, data: insertData });
     }
 
+    if (movie_slug) recordSignal('movie', movie_slug, 'plays');
+    else if (series_slug) recordSignal('series', series_slug, 'plays');
+
     res.json({ success: true, data: data?.[0] || insertData });
   } catch (error) {
     console.error('Error saving watch history:', error);
@@ -74,38 +69,14 @@ router.post('/watch-history', verifyToken, async (req, res) => {
   }
 });
 
-// Get watch history for user
+// Get watch history for user (only the token's own account)
 router.get('/watch-history/:email', verifyToken, async (req, res) => {
-  const { email } = req.params;
-
-  if (!email) {
-    return res.status(400).json({ error: 'Email required' });
-  }
+  if (!checkSameUser(req, res, req.params.email)) return;
+  const email = req.user.email;
 
   try {
-    const { data, error } = await supabase
-      .from('watch_history')
-      .select('*')
-      .eq('user_email', email)
-      .order('watched_at', { ascending: false });
-
-    if (error) {
-      console.error('Watch history fetch error:', error);
-      return res.json({ success: true, data: [] });
-    }
-
-    // Parse JSONB fields for frontend
-    const formattedData = (data || []).map(item => ({
-      ...item,
-      series_slug: item.series_slug?.value || item.series_slug,
-      movie_slug: item.movie_slug?.value || item.movie_slug,
-      episode_number: item.episode_number?.value || item.episode_number,
-      season_number: item.season_number?.value || item.season_number,
-      title: item.title?.value || item.title,
-      poster_image: item.poster_image?.value || item.poster_image,
-      movie_name: item.movie_name?.value || item.movie_name
-    }));
-
+    // JSONB fields are unwrapped for the frontend
+    const formattedData = await loadWatchHistory(supabase, email);
     res.json({ success: true, data: formattedData });
   } catch (error) {
     console.error('Error fetching watch history:', error);
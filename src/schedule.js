@@ -0,0 +1,147 @@
+import { episodeUrl } from './site-urls.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_SCHEDULE_DAYS = 7;
+export const MAX_SCHEDULE_DAYS = 62;
+// Release history looked at when guessing a show's cadence
+export const CADENCE_HISTORY_DAYS = 120;
+
+const ENDED_STATUSES = ['Ended', 'Canceled'];
+const MAX_PREDICTIONS = 8;
+
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// from/to query params -> { from, to } Dates, or { error }. Defaults to a week either side of now.
+export function parseScheduleRange(query, now = new Date()) {
+  const from = query.from ? parseDate(query.from) : new Date(now.getTime() - DEFAULT_SCHEDULE_DAYS * DAY_MS);
+  const to = query.to ? parseDate(query.to) : new Date(now.getTime() + DEFAULT_SCHEDULE_DAYS * DAY_MS);
+
+  if (!from || !to) {
+    return { error: 'from and to must be ISO dates (e.g. 2025-01-31)' };
+  }
+  if (to < from) {
+    return { error: 'to must be after from' };
+  }
+  if (to - from > MAX_SCHEDULE_DAYS * DAY_MS) {
+    return { error: `Range can be at most ${MAX_SCHEDULE_DAYS} days` };
+  }
+  return { from, to };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Typical gap between releases, from the last few sightings. Null when the history
+// is too short or too irregular (e.g. a batch import) to call it a schedule.
+export function releaseCadence(releases) {
+  const times = releases.map(r => new Date(r.released_at).getTime()).sort((a, b) => a - b).slice(-6);
+  if (times.length < 4) return null;
+
+  const gaps = times.slice(1).map((time, i) => time - times[i]);
+  const typical = median(gaps);
+  if (typical < DAY_MS || typical > 31 * DAY_MS) return null;
+
+  const regular = gaps.every(gap => Math.abs(gap - typical) <= typical * 0.5);
+  return regular ? typical : null;
+}
+
+function entry(series, { status, source, at, allDay, season, episode, title }) {
+  return {
+    status,
+    source,
+    at,
+    allDay,
+    seriesSlug: series.slug,
+    seriesTitle: series.title,
+    poster: series.poster || null,
+    season,
+    episode,
+    title: title || null,
+    url: episodeUrl(series.slug, season, episode)
+  };
+}
+
+// Released episodes (episode_releases) plus expected ones: TMDB's next air date
+// when we have it, otherwise the series' own release cadence.
+export function buildSchedule({ releases, series, from, to, now = new Date() }) {
+  const seriesBySlug = new Map(series.map(row => [row.slug, row]));
+  const items = [];
+  const seen = new Set();
+  const key = (slug, season, episode) => `${slug}:${season}-${episode}`;
+
+  const releasesBySeries = new Map();
+  releases.forEach(release => {
+    const row = seriesBySlug.get(release.series_slug);
+    if (!row) return;
+
+    seen.add(key(row.slug, release.season, release.episode));
+    if (!releasesBySeries.has(row.slug)) releasesBySeries.set(row.slug, []);
+    releasesBySeries.get(row.slug).push(release);
+
+    const at = new Date(release.released_at);
+    if (at >= from && at <= to) {
+      items.push(entry(row, {
+        status: 'released',
+        source: 'site',
+        at: at.toISOString(),
+        allDay: false,
+        season: release.season,
+        episode: release.episode,
+        title: release.episode_title
+      }));
+    }
+  });
+
+  series.forEach(row => {
+    if (ENDED_STATUSES.includes(row.status)) return;
+
+    const airDate = row.next_episode_air_date ? new Date(`${row.next_episode_air_date}T00:00:00Z`) : null;
+    if (airDate) {
+      const alreadyOut = seen.has(key(row.slug, row.next_episode_season, row.next_episode_number));
+      if (!alreadyOut && airDate >= new Date(from.getTime() - DAY_MS) && airDate <= to) {
+        items.push(entry(row, {
+          status: 'expected',
+          source: 'tmdb',
+          at: airDate.toISOString(),
+          allDay: true,
+          season: row.next_episode_season,
+          episode: row.next_episode_number,
+          title: row.next_episode_title
+        }));
+      }
+      return;
+    }
+
+    const history = releasesBySeries.get(row.slug);
+    const cadence = history && releaseCadence(history);
+    if (!cadence) return;
+
+    const last = history.reduce((a, b) => (new Date(a.released_at) > new Date(b.released_at) ? a : b));
+    const lastTime = new Date(last.released_at).getTime();
+    for (let step = 1; step <= MAX_PREDICTIONS; step++) {
+      const at = new Date(lastTime + step * cadence);
+      if (at > to) break;
+      if (at < from || at < now) continue;
+
+      items.push(entry(row, {
+        status: 'expected',
+        source: 'history',
+        at: at.toISOString(),
+        allDay: false,
+        season: last.season,
+        episode: last.episode + step,
+        title: null
+      }));
+    }
+  });
+
+  return items.sort((a, b) => a.at.localeCompare(b.at) || a.seriesTitle.localeCompare(b.seriesTitle));
+}
@@ -0,0 +1,201 @@
+import { toCard } from './catalog.js';
+
+// Match tiers, best first. Scores are spaced so a better tier always wins.
+const MATCH_SCORES = {
+  exact: 100,
+  prefix: 80,
+  contains: 60,
+  fuzzy: 40,
+  genre: 30,
+  description: 20
+};
+
+const SNIPPET_RADIUS = 60;
+
+export function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function levenshtein(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+      rowMin = Math.min(rowMin, curr[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+// Short words get one typo, longer words two
+function allowedTypos(word) {
+  if (word.length <= 3) return 0;
+  if (word.length <= 6) return 1;
+  return 2;
+}
+
+// Every query word must be close to some title word (or a prefix of one)
+function fuzzyTitleMatch(titleWords, queryWords) {
+  const matched = [];
+  let distance = 0;
+
+  for (const q of queryWords) {
+    const max = allowedTypos(q);
+    let best = null;
+    for (const word of titleWords) {
+      const d = Math.min(
+        levenshtein(q, word, max),
+        levenshtein(q, word.slice(0, q.length), max)
+      );
+      if (d <= max && (!best || d < best.d)) best = { d, word };
+    }
+    if (!best) return null;
+    matched.push(best.word);
+    distance += best.d;
+  }
+
+  return { matched, distance };
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Wraps every occurrence of the given words in <mark>, optionally trimming to a snippet
+function highlight(text, words, { snippet = false } = {}) {
+  if (!text) return null;
+  const terms = words.filter(Boolean).map(escapeRegExp);
+  if (terms.length === 0) return null;
+
+  const pattern = new RegExp(`(${terms.join('|')})`, 'gi');
+  let source = text;
+
+  if (snippet) {
+    const first = source.search(pattern);
+    if (first === -1) return null;
+    const start = Math.max(0, first - SNIPPET_RADIUS);
+    const end = Math.min(source.length, first + SNIPPET_RADIUS * 2);
+    source = `${start > 0 ? '…' : ''}${source.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+  }
+
+  const parts = source.split(pattern);
+  if (parts.length === 1) return null;
+
+  return parts
+    .map((part, i) => (i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+}
+
+export function scoreSearchMatch(row, query) {
+  const q = normalizeText(query);
+  if (!q) return null;
+
+  const queryWords = q.split(' ');
+  const title = normalizeText(row.title);
+  const titleWords = title.split(' ');
+  const highlights = {};
+
+  let match = null;
+  let score = 0;
+  let titleTerms = queryWords;
+
+  if (title === q) {
+    match = 'exact';
+  } else if (title.startsWith(q)) {
+    match = 'prefix';
+  } else if (` ${title}`.includes(` ${q}`)) {
+    // Prefix of a later word ("piece" in "One Piece") ranks just below a title prefix
+    match = 'prefix';
+    score -= 5;
+  } else if (title.includes(q)) {
+    match = 'contains';
+  } else {
+    const fuzzy = fuzzyTitleMatch(titleWords, queryWords);
+    if (fuzzy) {
+      match = 'fuzzy';
+      score -= fuzzy.distance * 5;
+      titleTerms = fuzzy.matched;
+    }
+  }
+
+  if (match) {
+    score += MATCH_SCORES[match];
+    highlights.title = highlight(row.title, titleTerms);
+  }
+
+  const genres = row.genres || [];
+  const genreHits = genres.filter(g => normalizeText(g).includes(q));
+  if (genreHits.length > 0) {
+    if (!match) {
+      match = 'genre';
+      score = MATCH_SCORES.genre;
+    }
+    highlights.genres = genreHits.map(g => highlight(g, [g]));
+  }
+
+  const description = row.description || '';
+  if (normalizeText(description).includes(q)) {
+    if (!match) {
+      match = 'description';
+      score = MATCH_SCORES.description;
+    }
+    highlights.description = highlight(description, queryWords, { snippet: true });
+  }
+
+  if (!match) return null;
+
+  return { match, score, highlights };
+}
+
+export function searchCatalog({ series = [], movies = [] }, query, { limit = 20 } = {}) {
+  const results = [];
+
+  const collect = (rows, type) => {
+    rows.forEach(row => {
+      const hit = scoreSearchMatch(row, query);
+      if (!hit) return;
+      results.push({
+        ...toCard(row, type),
+        match: hit.match,
+        score: hit.score,
+        highlights: hit.highlights,
+        popularity: row.popularity || 0
+      });
+    });
+  };
+
+  collect(series, 'series');
+  collect(movies, 'movie');
+
+  results.sort((a, b) =>
+    b.score - a.score ||
+    b.popularity - a.popularity ||
+    (b.rating || 0) - (a.rating || 0) ||
+    a.title.localeCompare(b.title)
+  );
+
+  return {
+    total: results.length,
+    results: results.slice(0, limit).map(({ popularity, ...rest }) => rest)
+  };
+}
@@ -9,6 +9,16 @@ import authRoutes from './routes/auth.js';
 import favoritesRoutes from './routes/favorites.js';
 import watchHistoryRoutes from './routes/watchHistory.js';
 import commentsRoutes from './routes/comments.js';
+import cacheRoutes from './routes/cache.js';
+import scheduleRoutes from './routes/schedule.js';
+import feedsRoutes from './routes/feeds.js';
+import seoRoutes from './routes/seo.js';
+import graphqlRoutes from './routes/graphql.js';
+import imagesRoutes from './routes/images.js';
+import moderationRoutes from './routes/moderation.js';
+import notificationsRoutes from './routes/notifications.js';
+import { CONFIG } from './config.js';
+import { startSignalFlusher } from './trending.js';
 
 const app = express();
 const PORT = process.env.PORT || 4000;
@@ -23,6 +33,8 @@ if (!supabaseUrl || !supabaseKey) {
 }
 
 const supabase = createClient(supabaseUrl, supabaseKey);
+// Trending counters are only writable with the service role key
+const supabaseAdmin = createClient(supabaseUrl, process.env.SUPABASE_SERVICE_ROLE_KEY || supabaseKey);
 
 app.use(cors());
 app.use(express.json());
@@ -33,6 +45,15 @@ app.use('/api', contentRoutes);
 app.use('/api', favoritesRoutes);
 app.use('/api', watchHistoryRoutes);
 app.use('/api', commentsRoutes);
+app.use('/api', notificationsRoutes);
+app.use('/api', cacheRoutes);
+app.use('/api', scheduleRoutes);
+app.use('/api', feedsRoutes);
+app.use('/api', graphqlRoutes);
+app.use('/api', imagesRoutes);
+app.use('/api', moderationRoutes);
+// Sitemaps live at the site root; /api/meta is defined with its full path
+app.use(seoRoutes);
 
 // Root path for Render health check
 app.get('/', (req, res) => {
@@ -62,15 +83,51 @@ app.get('/', (req, res) => {
       content: {
         library: 'GET /api/library',
         seriesDetail: 'GET /api/series/:slug',
+        seriesSeason: 'GET /api/series/:slug/season/:season',
+        seriesRelated: 'GET /api/series/:slug/related',
         seriesEpisode: 'GET /api/series/:slug/episode/:season-:episode',
+        movies: 'GET /api/movies',
+        latestMovies: 'GET /api/movies/latest',
         movieDetail: 'GET /api/movies/:slug',
-        latestEpisodes: 'GET /api/latest-episodes'
+        movieRelated: 'GET /api/movies/:slug/related',
+        collections: 'GET /api/collections',
+        collection: 'GET /api/collections/:id',
+        latestEpisodes: 'GET /api/latest-episodes',
+        search: 'GET /api/search?q=',
+        genres: 'GET /api/genres',
+        genre: 'GET /api/genres/:genre',
+        trending: 'GET /api/trending?window=day|week|all'
+      },
+      schedule: {
+        list: 'GET /api/schedule?from=&to=',
+        calendar: 'GET /api/schedule.ics',
+        seriesCalendar: 'GET /api/series/:slug/schedule.ics'
+      },
+      feeds: {
+        latest: 'GET /api/feeds/latest.rss|atom|json',
+        series: 'GET /api/feeds/series/:slug.rss|atom|json'
+      },
+      seo: {
+        sitemap: 'GET /sitemap.xml',
+        sitemapPage: 'GET /sitemaps/:kind-:page.xml',
+        meta: 'GET /api/meta?path='
+      },
+      graphql: {
+        query: 'POST /api/graphql',
+        queryViaGet: 'GET /api/graphql?query='
+      },
+      images: {
+        proxy: 'GET /api/img?url=&preset=card|list|banner|player&format=avif|webp|jpeg'
       },
       auth: {
         sendOtp: 'POST /api/auth/send-otp',
         signup: 'POST /api/auth/signup',
         signin: 'POST /api/auth/signin',
         logout: 'POST /api/auth/logout',
+        refresh: 'POST /api/auth/refresh',
+        sessions: 'GET /api/auth/sessions',
+        revokeSession: 'DELETE /api/auth/sessions/:id',
+        signOutEverywhere: 'DELETE /api/auth/sessions',
         profile: 'GET /api/user/profile/:email'
       },
       favorites: {
@@ -85,7 +142,21 @@ app.get('/', (req, res) => {
       comments: {
         post: 'POST /api/comments (requires login)',
         fetch: 'GET /api/comments/:location',
+        stream: 'GET /api/comments/:location/stream (Server-Sent Events)',
+        history: 'GET /api/comments/:id/history',
+        report: 'POST /api/comments/:id/report (requires login)',
         delete: 'DELETE /api/comments/:id (requires login)'
+      },
+      notifications: {
+        list: 'GET /api/notifications/:email?unread=true (requires login)',
+        markRead: 'POST /api/notifications/:email/read (requires login)'
+      },
+      moderation: {
+        queue: 'GET /api/moderation/queue?status=pending,hidden (x-moderation-token)',
+        approve: 'POST /api/moderation/comments/:id/approve (x-moderation-token)',
+        delete: 'DELETE /api/moderation/comments/:id (x-moderation-token)',
+        ban: 'POST /api/moderation/users/:email/ban (x-moderation-token)',
+        unban: 'DELETE /api/moderation/users/:email/ban (x-moderation-token)'
       }
     }
   });
@@ -97,21 +168,57 @@ app.use((req, res) => {
 });
 
 app.listen(PORT, '0.0.0.0', () => {
+  startSignalFlusher(supabaseAdmin, CONFIG.trending.flushInterval);
   console.log(`✅ Server running on port ${PORT}`);
   console.log(`🌐 API available at http://localhost:${PORT}/api`);
   console.log('');
   console.log('📊 Content Endpoints:');
   console.log('   - GET /api/library');
   console.log('   - GET /api/series/:slug');
+  console.log('   - GET /api/series/:slug/season/:season');
+  console.log('   - GET /api/series/:slug/related');
   console.log('   - GET /api/series/:slug/episode/:season-:episode');
+  console.log('   - GET /api/movies');
+  console.log('   - GET /api/movies/latest');
   console.log('   - GET /api/movies/:slug');
+  console.log('   - GET /api/movies/:slug/related');
+  console.log('   - GET /api/collections');
+  console.log('   - GET /api/collections/:id');
   console.log('   - GET /api/latest-episodes');
+  console.log('   - GET /api/search?q=');
+  console.log('   - GET /api/genres');
+  console.log('   - GET /api/genres/:genre');
+  console.log('   - GET /api/trending?window=day|week|all');
+  console.log('');
+  console.log('📊 Schedule Endpoints:');
+  console.log('   - GET /api/schedule?from=&to=');
+  console.log('   - GET /api/schedule.ics');
+  console.log('   - GET /api/series/:slug/schedule.ics');
+  console.log('');
+  console.log('📊 Feed Endpoints:');
+  console.log('   - GET /api/feeds/latest.rss|atom|json');
+  console.log('   - GET /api/feeds/series/:slug.rss|atom|json');
+  console.log('');
+  console.log('📊 SEO Endpoints:');
+  console.log('   - GET /sitemap.xml');
+  console.log('   - GET /sitemaps/:kind-:page.xml');
+  console.log('   - GET /api/meta?path=');
+  console.log('');
+  console.log('📊 GraphQL:');
+  console.log('   - POST /api/graphql');
+  console.log('');
+  console.log('📊 Image Proxy:');
+  console.log('   - GET /api/img?url=&preset=');
   console.log('');
   console.log('📊 Auth Endpoints:');
   console.log('   - POST /api/auth/send-otp');
   console.log('   - POST /api/auth/signup');
   console.log('   - POST /api/auth/signin');
   console.log('   - POST /api/auth/logout');
+  console.log('   - POST /api/auth/refresh');
+  console.log('   - GET /api/auth/sessions');
+  console.log('   - DELETE /api/auth/sessions/:id');
+  console.log('   - DELETE /api/auth/sessions');
   console.log('   - GET /api/user/profile/:email');
   console.log('');
   console.log('📊 Favorites Endpoints:');
@@ -122,4 +229,14 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log('📊 Watch History Endpoints:');
   console.log('   - POST /api/watch-history');
   console.log('   - GET /api/watch-history/:email');
+  console.log('');
+  console.log('📊 Notification Endpoints:');
+  console.log('   - GET /api/notifications/:email');
+  console.log('   - POST /api/notifications/:email/read');
+  console.log('');
+  console.log('📊 Moderation Endpoints:');
+  console.log('   - GET /api/moderation/queue');
+  console.log('   - POST /api/moderation/comments/:id/approve');
+  console.log('   - DELETE /api/moderation/comments/:id');
+  console.log('   - POST|DELETE /api/moderation/users/:email/ban');
 });
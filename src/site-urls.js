@@ -0,0 +1,52 @@
+import { CONFIG } from './config.js';
+
+// Links to the public frontend (SITE_URL). The paths mirror the API routes;
+// every builder returns null when SITE_URL isn't configured.
+export function siteUrl(path) {
+  return CONFIG.site.url ? `${CONFIG.site.url}${path}` : null;
+}
+
+export function homeUrl() {
+  return siteUrl('/');
+}
+
+export function seriesUrl(slug) {
+  return siteUrl(`/series/${encodeURIComponent(slug)}`);
+}
+
+export function episodeUrl(slug, season, episode) {
+  return siteUrl(`/series/${encodeURIComponent(slug)}/episode/${season}-${episode}`);
+}
+
+export function movieUrl(slug) {
+  return siteUrl(`/movies/${encodeURIComponent(slug)}`);
+}
+
+// Slug from a path segment; null when it isn't valid percent-encoding (e.g. a stray %E0)
+function decodeSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return null;
+  }
+}
+
+// Reverse of the builders above: frontend path -> { type, slug, season, episode }.
+// Null when a slug in the path can't be decoded.
+export function parseSitePath(path) {
+  const clean = String(path || '/').split(/[?#]/)[0].replace(/\/+$/, '') || '/';
+  let match;
+  let route = { type: 'page' };
+
+  if (clean === '/') return { type: 'home' };
+  if ((match = clean.match(/^\/series\/([^/]+)\/episode\/(\d+)-(\d+)$/))) {
+    route = { type: 'episode', slug: decodeSegment(match[1]), season: parseInt(match[2]), episode: parseInt(match[3]) };
+  } else if ((match = clean.match(/^\/series\/([^/]+)$/))) {
+    route = { type: 'series', slug: decodeSegment(match[1]) };
+  } else if ((match = clean.match(/^\/movies\/([^/]+)$/))) {
+    route = { type: 'movie', slug: decodeSegment(match[1]) };
+  } else if ((match = clean.match(/^\/genres\/([^/]+)$/))) {
+    route = { type: 'genre', slug: decodeSegment(match[1]) };
+  }
+  return route.slug === null ? null : route;
+}
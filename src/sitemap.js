@@ -0,0 +1,60 @@
+import { escapeXml } from './feeds.js';
+
+// Supabase caps a single select at 1000 rows, so pages never ask for more
+export const SITEMAP_PAGE_SIZE = 1000;
+export const SITEMAP_KINDS = ['series', 'episodes', 'movies'];
+
+// "episodes-3" -> { kind: 'episodes', page: 3 }
+export function parseSitemapName(name) {
+  const match = String(name).match(/^(series|episodes|movies)-(\d+)$/);
+  if (!match) return null;
+
+  const page = parseInt(match[2]);
+  return page >= 1 ? { kind: match[1], page } : null;
+}
+
+export function pageCount(total) {
+  return Math.max(1, Math.ceil(total / SITEMAP_PAGE_SIZE));
+}
+
+function lastmod(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// entries: [{ loc, lastmod }]
+export function renderSitemapIndex(entries) {
+  const body = entries.map(entry => [
+    '  <sitemap>',
+    `    <loc>${escapeXml(entry.loc)}</loc>`,
+    lastmod(entry.lastmod) ? `    <lastmod>${lastmod(entry.lastmod)}</lastmod>` : null,
+    '  </sitemap>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...body,
+    '</sitemapindex>',
+    ''
+  ].join('\n');
+}
+
+// urls: [{ loc, lastmod }]
+export function renderUrlSet(urls) {
+  const body = urls.map(url => [
+    '  <url>',
+    `    <loc>${escapeXml(url.loc)}</loc>`,
+    lastmod(url.lastmod) ? `    <lastmod>${lastmod(url.lastmod)}</lastmod>` : null,
+    '  </url>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...body,
+    '</urlset>',
+    ''
+  ].join('\n');
+}
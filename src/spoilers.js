@@ -0,0 +1,78 @@
+// Spoiler handling for comments: inline ||spoiler|| / [spoiler]...[/spoiler] markup,
+// the whole-comment flag, and how far into a series a commenter or reader has watched.
+
+const SPOILER_MARKUP = /\|\|([\s\S]+?)\|\||\[spoiler\]([\s\S]+?)\[\/spoiler\]/gi;
+
+// Comment text as [{ type: 'text' | 'spoiler', text }] for the frontend to render
+export function parseSpoilerMarkup(content) {
+  const text = String(content || '');
+  const segments = [];
+  let last = 0;
+
+  for (const match of text.matchAll(SPOILER_MARKUP)) {
+    if (match.index > last) segments.push({ type: 'text', text: text.slice(last, match.index) });
+    segments.push({ type: 'spoiler', text: match[1] ?? match[2] });
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) segments.push({ type: 'text', text: text.slice(last) });
+
+  return segments;
+}
+
+// `series:<slug>:<season>-<episode>` -> { slug, season, episode }; series-level and movie locations -> null
+export function parseEpisodeLocation(location) {
+  const match = String(location || '').match(/^series:(.+):(\d+)-(\d+)$/);
+  return match ? { slug: match[1], season: parseInt(match[2]), episode: parseInt(match[3]) } : null;
+}
+
+function isAfter(a, b) {
+  return a.season > b.season || (a.season === b.season && a.episode > b.episode);
+}
+
+function furthest(...points) {
+  return points.filter(Boolean).reduce((best, point) => (!best || isAfter(point, best) ? point : best), null);
+}
+
+// Furthest episode of a series in formatted watch_history entries, or null
+export function seriesProgress(entries, slug) {
+  const points = entries
+    .filter(entry => entry.series_slug === slug)
+    .map(entry => ({ season: parseInt(entry.season_number), episode: parseInt(entry.episode_number) }))
+    .filter(point => Number.isInteger(point.season) && Number.isInteger(point.episode));
+  return furthest(...points);
+}
+
+// The furthest episode a new comment may talk about: the episode it is posted on, or
+// further if the commenter's watch history shows they have seen more.
+export function commentSpoilerScope(location, commenterProgress) {
+  const episode = parseEpisodeLocation(location);
+  return furthest(episode && { season: episode.season, episode: episode.episode }, commenterProgress);
+}
+
+// Rendering hints for one comment. readerProgress is null when the reader is anonymous
+// or has no history for the series; then only flagged comments are blurred.
+export function spoilerHints(comment, readerProgress) {
+  const segments = parseSpoilerMarkup(comment.content);
+  const scope = Number.isInteger(comment.spoiler_season) && Number.isInteger(comment.spoiler_episode)
+    ? { season: comment.spoiler_season, episode: comment.spoiler_episode }
+    : null;
+
+  const reasons = [];
+  if (comment.is_spoiler) reasons.push('flagged');
+  if (scope && readerProgress && isAfter(scope, readerProgress)) reasons.push('ahead_of_viewer');
+
+  return {
+    blur: reasons.length > 0,
+    reasons,
+    spoiler_episode: scope,
+    has_inline_spoilers: segments.some(segment => segment.type === 'spoiler'),
+    segments
+  };
+}
+
+// Reader's position when reading comments at a location: their watch history, but never
+// behind the episode whose thread they are reading.
+export function readerProgressAt(location, historyProgress) {
+  const episode = parseEpisodeLocation(location);
+  return furthest(episode && { season: episode.season, episode: episode.episode }, historyProgress);
+}
@@ -1,5 +1,7 @@
 import { createClient } from '@supabase/supabase-js';
 import { CONFIG } from './config.js';
+import { findMissingEpisodes } from './episodes.js';
+import { invalidateSeries, invalidateMovie, invalidateLatest } from './cache.js';
 
 export const supabase = createClient(CONFIG.supabase.url, CONFIG.supabase.key);
 
@@ -35,6 +37,40 @@ export async function upsertSeries(seriesData) {
     .select()
     .single();
   
+  if (error) throw error;
+  await invalidateSeries(data.slug);
+  return data;
+}
+
+export async function getAllMovies() {
+  const { data, error } = await supabase
+    .from('movies')
+    .select('*')
+    .order('title');
+  
+  if (error) throw error;
+  return data || [];
+}
+
+export async function upsertMovie(movieData) {
+  const { data, error } = await supabase
+    .from('movies')
+    .upsert(movieData, { onConflict: 'slug' })
+    .select()
+    .single();
+  
+  if (error) throw error;
+  await invalidateMovie(data.slug);
+  return data;
+}
+
+export async function upsertCollection(collectionData) {
+  const { data, error } = await supabase
+    .from('collections')
+    .upsert(collectionData, { onConflict: 'id' })
+    .select()
+    .single();
+  
   if (error) throw error;
   return data;
 }
@@ -77,6 +113,7 @@ export async function upsertEpisode(episodeData) {
     .single();
   
   if (error) throw error;
+  await invalidateSeries(data.series_slug);
   return data;
 }
 
@@ -100,6 +137,7 @@ export async function addToLatestEpisodes(episodeData, maxLatest = 9) {
   if (error) throw error;
   
   await pruneLatestEpisodes(maxLatest);
+  await invalidateLatest();
 }
 
 export async function pruneLatestEpisodes(maxCount = 9) {
@@ -143,34 +181,8 @@ export async function getLatestEpisodes(limit = 9) {
 }
 
 export async function getMissingEpisodes(seriesSlug) {
-  // Get all episodes for this series
   const episodes = await getEpisodesBySeriesSlug(seriesSlug);
-  
-  if (episodes.length === 0) return [];
-  
-  // Group by season
-  const seasons = {};
-  episodes.forEach(ep => {
-    if (!seasons[ep.season]) seasons[ep.season] = [];
-    seasons[ep.season].push(ep.episode);
-  });
-  
-  // Find missing episodes in each season
-  const missing = [];
-  Object.entries(seasons).forEach(([season, episodeNumbers]) => {
-    const seasonNum = parseInt(season);
-    const sortedEps = episodeNumbers.sort((a, b) => a - b);
-    const maxEp = Math.max(...sortedEps);
-    
-    // Check for gaps
-    for (let ep = 1; ep <= maxEp; ep++) {
-      if (!sortedEps.includes(ep)) {
-        missing.push({ season: seasonNum, episode: ep });
-      }
-    }
-  });
-  
-  return missing;
+  return findMissingEpisodes(episodes);
 }
 
 export async function getSeriesStats(seriesSlug) {
@@ -6,8 +6,12 @@ import {
   getSeriesStats,
   upsertSeries,
   upsertEpisode,
+  getAllMovies,
+  upsertMovie,
+  upsertCollection,
 } from './supabase-client.js';
-import { enrichSeriesWithTMDB } from './tmdb-fetcher.js';
+import { enrichSeriesWithTMDB, enrichMovieWithTMDB, fetchTMDBDetails, nextEpisodeFields } from './tmdb-fetcher.js';
+import { episodeLocation, movieLocation, flattenLegacyComments } from './comments-store.js';
 import { validateConfig } from './config.js';
 
 // Analyze and report on all series in database
@@ -145,6 +149,250 @@ export async function enrichAllSeriesWithTMDB() {
   return { success, failed, total: missing.length };
 }
 
+function collectionSlug(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+// Attach movies to their TMDB collection (franchise) using belongs_to_collection
+export async function syncMovieCollections() {
+  console.log('🚀 Syncing movie collections from TMDB...\n');
+  
+  const movies = await getAllMovies();
+  console.log(`📊 Found ${movies.length} movies in database\n`);
+  
+  let linked = 0;
+  let skipped = 0;
+  let failed = 0;
+  const collections = new Set();
+  
+  for (const movie of movies) {
+    try {
+      console.log(`🎬 ${movie.title} (${movie.slug})`);
+      const { movie: enriched, collection } = await enrichMovieWithTMDB(movie);
+      
+      if (collection) {
+        if (!collections.has(collection.tmdb_id)) {
+          await upsertCollection({
+            id: collection.tmdb_id,
+            slug: collectionSlug(collection.name),
+            name: collection.name,
+            description: collection.description || null,
+            poster: collection.poster,
+            banner_image: collection.banner_image,
+          });
+          collections.add(collection.tmdb_id);
+        }
+        console.log(`   📚 Collection: ${collection.name}`);
+        linked++;
+      } else {
+        skipped++;
+      }
+      
+      if (enriched.tmdb_id) {
+        await upsertMovie(enriched);
+      }
+      
+      // Rate limiting
+      await new Promise(resolve => setTimeout(resolve, 300));
+    } catch (error) {
+      console.error(`❌ Error syncing ${movie.slug}:`, error.message);
+      failed++;
+    }
+  }
+  
+  console.log('\n' + '='.repeat(50));
+  console.log('📊 Collection Sync Complete!');
+  console.log('='.repeat(50));
+  console.log(`📚 Collections: ${collections.size}`);
+  console.log(`✅ Movies linked: ${linked}`);
+  console.log(`⏭️  Not in a collection: ${skipped}`);
+  console.log(`❌ Failed: ${failed}`);
+  console.log('='.repeat(50));
+  
+  return { collections: collections.size, linked, skipped, failed };
+}
+
+// Refresh TMDB next_episode_to_air for series that are still airing (used by /api/schedule)
+export async function refreshAiringSchedule() {
+  console.log('🚀 Refreshing airing schedule from TMDB...\n');
+  
+  const allSeries = await getAllSeries();
+  const airing = allSeries.filter(s => s.tmdb_id && !['Ended', 'Canceled'].includes(s.status));
+  console.log(`📊 Checking ${airing.length} series with TMDB data that haven't ended\n`);
+  
+  let scheduled = 0;
+  let failed = 0;
+  
+  for (const series of airing) {
+    try {
+      const details = await fetchTMDBDetails(series.tmdb_id, 'tv');
+      if (!details) {
+        failed++;
+        continue;
+      }
+      
+      await upsertSeries({
+        ...series,
+        status: details.status || series.status,
+        ...nextEpisodeFields(details.next_episode),
+      });
+      
+      if (details.next_episode && details.next_episode.air_date) {
+        const next = details.next_episode;
+        console.log(`📅 ${series.title}: S${next.season}E${next.episode} on ${next.air_date}`);
+        scheduled++;
+      }
+    } catch (error) {
+      console.error(`❌ Error refreshing ${series.slug}:`, error.message);
+      failed++;
+    }
+  }
+  
+  console.log('\n' + '='.repeat(50));
+  console.log('📊 Schedule Refresh Complete!');
+  console.log('='.repeat(50));
+  console.log(`📅 Upcoming episodes: ${scheduled}`);
+  console.log(`❌ Failed: ${failed}`);
+  console.log('='.repeat(50));
+  
+  return { checked: airing.length, scheduled, failed };
+}
+
+async function fetchRowsWithEmbeddedComments(table, columns) {
+  const rows = [];
+  const pageSize = 1000;
+  
+  for (let from = 0; ; from += pageSize) {
+    const { data, error } = await supabase
+      .from(table)
+      .select(columns)
+      .not('coments', 'is', null)
+      .order('id')
+      .range(from, from + pageSize - 1);
+    
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < pageSize) break;
+  }
+  
+  return rows
+    .map(row => {
+      let comments = row.coments;
+      if (typeof comments === 'string') {
+        try {
+          comments = JSON.parse(comments);
+        } catch {
+          comments = [];
+        }
+      }
+      return { ...row, coments: comments };
+    })
+    .filter(row => Array.isArray(row.coments) && row.coments.length > 0);
+}
+
+// Inserts flattened comments in order, so every reply's parent already has its new id
+async function storeLegacyComments(rows) {
+  const ids = new Map();
+  
+  for (const row of rows) {
+    const { parent_legacy_id, ...fields } = row;
+    const parentId = parent_legacy_id === null ? null : ids.get(parent_legacy_id) ?? null;
+    
+    const { data, error } = await supabase
+      .from('comments')
+      .upsert({ ...fields, parent_id: parentId }, { onConflict: 'location,legacy_id' })
+      .select('id')
+      .single();
+    
+    if (error) throw error;
+    ids.set(row.legacy_id, data.id);
+  }
+  
+  return rows.length;
+}
+
+// Move the `coments` JSONB arrays on episodes and movies into the comments table.
+// Safe to re-run: rows are matched on (location, legacy_id), and an array is only
+// cleared once every comment in it has been stored.
+export async function migrateEmbeddedComments() {
+  console.log('🚀 Migrating embedded comments into the comments table...\n');
+  
+  const sources = [
+    {
+      table: 'episodes',
+      columns: 'id, series_slug, season, episode, coments',
+      target: row => ({ location: episodeLocation(row.series_slug, row.season, row.episode), seriesSlug: row.series_slug }),
+    },
+    {
+      table: 'movies',
+      columns: 'id, slug, coments',
+      target: row => ({ location: movieLocation(row.slug), movieSlug: row.slug }),
+    },
+  ];
+  
+  let titles = 0;
+  let comments = 0;
+  let failed = 0;
+  
+  for (const source of sources) {
+    const rows = await fetchRowsWithEmbeddedComments(source.table, source.columns);
+    console.log(`📊 Found ${rows.length} ${source.table} with embedded comments\n`);
+    
+    for (const row of rows) {
+      const target = source.target(row);
+      try {
+        const count = await storeLegacyComments(flattenLegacyComments(row.coments, target));
+        
+        const { error } = await supabase
+          .from(source.table)
+          .update({ coments: [] })
+          .eq('id', row.id);
+        if (error) throw error;
+        
+        console.log(`💬 ${target.location}: ${count} comments`);
+        titles++;
+        comments += count;
+      } catch (error) {
+        console.error(`❌ Error migrating ${target.location}:`, error.message);
+        failed++;
+      }
+    }
+  }
+  
+  console.log('\n' + '='.repeat(50));
+  console.log('📊 Comment Migration Complete!');
+  console.log('='.repeat(50));
+  console.log(`🎬 Episodes/movies migrated: ${titles}`);
+  console.log(`💬 Comments and replies: ${comments}`);
+  console.log(`❌ Failed: ${failed}`);
+  console.log('='.repeat(50));
+  
+  return { titles, comments, failed };
+}
+
+// Clear passwords older versions of /api/auth saved in users.password_hash.
+// Supabase Auth owns the credential, so nothing needs to be kept here.
+export async function scrubStoredPasswords() {
+  console.log('🔒 Removing stored passwords from the users table...\n');
+  
+  const { data, error } = await supabase
+    .from('users')
+    .update({ password_hash: null })
+    .not('password_hash', 'is', null)
+    .select('id');
+  
+  if (error) {
+    console.error('❌ Error scrubbing passwords:', error.message);
+    return { scrubbed: 0, failed: true };
+  }
+  
+  console.log(`✅ Cleared password_hash for ${data.length} users`);
+  return { scrubbed: data.length, failed: false };
+}
+
 // Main execution
 if (import.meta.url === `file://${process.argv[1]}`) {
   validateConfig();
@@ -168,12 +416,28 @@ if (import.meta.url === `file://${process.argv[1]}`) {
     case 'enrich-all':
       await enrichAllSeriesWithTMDB();
       break;
+    case 'collections':
+      await syncMovieCollections();
+      break;
+    case 'schedule':
+      await refreshAiringSchedule();
+      break;
+    case 'comments':
+      await migrateEmbeddedComments();
+      break;
+    case 'passwords':
+      await scrubStoredPasswords();
+      break;
     default:
       console.log('Usage:');
       console.log('  node supabase-sync.js analyze          - Analyze all series and find missing episodes');
       console.log('  node supabase-sync.js missing-tmdb     - Find series missing TMDB data');
       console.log('  node supabase-sync.js enrich <slug>    - Enrich specific series with TMDB data');
       console.log('  node supabase-sync.js enrich-all       - Enrich all series with TMDB data');
+      console.log('  node supabase-sync.js collections      - Link movies to TMDB collections');
+      console.log('  node supabase-sync.js schedule         - Refresh next episode air dates from TMDB');
+      console.log('  node supabase-sync.js comments         - Move JSONB episode/movie comments into the comments table');
+      console.log('  node supabase-sync.js passwords        - Clear plaintext passwords saved in users.password_hash');
   }
   
   process.exit(0);
@@ -48,7 +48,7 @@ export async function fetchTMDBDetails(tmdbId, type = 'tv') {
   try {
     await delay(CONFIG.tmdb.delay);
     
-    const detailsUrl = `${TMDB_BASE_URL}/${type}/${tmdbId}?api_key=${TMDB_API_KEY}&language=en-US&append_to_response=images,credits`;
+    const detailsUrl = `${TMDB_BASE_URL}/${type}/${tmdbId}?api_key=${TMDB_API_KEY}&language=en-US&append_to_response=images,credits,recommendations`;
     const response = await axios.get(detailsUrl);
     const data = response.data;
     
@@ -58,6 +58,11 @@ export async function fetchTMDBDetails(tmdbId, type = 'tv') {
     // Extract studios/production companies
     const studios = data.production_companies ? data.production_companies.map(c => c.name) : [];
     
+    // TMDB ids of recommended titles, kept so related titles work without calling TMDB
+    const recommendations = data.recommendations && data.recommendations.results
+      ? data.recommendations.results.slice(0, 20).map(r => String(r.id))
+      : [];
+    
     // Extract posters
     const posters = [];
     if (data.poster_path) {
@@ -95,6 +100,13 @@ export async function fetchTMDBDetails(tmdbId, type = 'tv') {
       status: data.status || null,
       genres: genres,
       studios: studios,
+      recommendations: recommendations,
+      next_episode: data.next_episode_to_air ? {
+        air_date: data.next_episode_to_air.air_date || null,
+        season: data.next_episode_to_air.season_number,
+        episode: data.next_episode_to_air.episode_number,
+        title: data.next_episode_to_air.name || null,
+      } : null,
       release_date: data.first_air_date || data.release_date || null,
       total_seasons: data.number_of_seasons || null,
       total_episodes: data.number_of_episodes || null,
@@ -105,6 +117,12 @@ export async function fetchTMDBDetails(tmdbId, type = 'tv') {
       banner_image: backdrops[0] || null,
       cover_image_large: posters[0] || null,
       cover_image_extra_large: posters[0] || null,
+      collection: data.belongs_to_collection ? {
+        tmdb_id: data.belongs_to_collection.id,
+        name: data.belongs_to_collection.name,
+        poster: data.belongs_to_collection.poster_path ? `${TMDB_IMAGE_BASE}${data.belongs_to_collection.poster_path}` : null,
+        banner_image: data.belongs_to_collection.backdrop_path ? `${TMDB_IMAGE_BASE}${data.belongs_to_collection.backdrop_path}` : null,
+      } : null,
     };
   } catch (error) {
     console.error(`❌ TMDB details error for ID ${tmdbId}:`, error.message);
@@ -112,6 +130,34 @@ export async function fetchTMDBDetails(tmdbId, type = 'tv') {
   }
 }
 
+export async function fetchTMDBCollection(collectionId) {
+  if (!TMDB_API_KEY || !collectionId) return null;
+  
+  try {
+    await delay(CONFIG.tmdb.delay);
+    
+    const collectionUrl = `${TMDB_BASE_URL}/collection/${collectionId}?api_key=${TMDB_API_KEY}&language=en-US`;
+    const response = await axios.get(collectionUrl);
+    const data = response.data;
+    
+    return {
+      tmdb_id: data.id,
+      name: data.name,
+      description: data.overview || null,
+      poster: data.poster_path ? `${TMDB_IMAGE_BASE}${data.poster_path}` : null,
+      banner_image: data.backdrop_path ? `${TMDB_IMAGE_BASE}${data.backdrop_path}` : null,
+      parts: (data.parts || []).map(part => ({
+        tmdb_id: part.id,
+        title: part.title || part.name,
+        release_date: part.release_date || null,
+      })),
+    };
+  } catch (error) {
+    console.error(`❌ TMDB collection error for ID ${collectionId}:`, error.message);
+    return null;
+  }
+}
+
 export async function fetchTMDBData(title, type = 'tv') {
   if (!TMDB_API_KEY) {
     return null;
@@ -143,6 +189,16 @@ export async function fetchTMDBData(title, type = 'tv') {
   }
 }
 
+// Series columns for TMDB's next_episode_to_air (all null once nothing is announced)
+export function nextEpisodeFields(nextEpisode) {
+  return {
+    next_episode_air_date: nextEpisode ? nextEpisode.air_date : null,
+    next_episode_season: nextEpisode ? nextEpisode.season : null,
+    next_episode_number: nextEpisode ? nextEpisode.episode : null,
+    next_episode_title: nextEpisode ? nextEpisode.title : null,
+  };
+}
+
 export async function enrichSeriesWithTMDB(seriesData) {
   const tmdbData = await fetchTMDBData(seriesData.title, 'tv');
   
@@ -157,6 +213,8 @@ export async function enrichSeriesWithTMDB(seriesData) {
       status: tmdbData.status,
       genres: tmdbData.genres,
       studios: tmdbData.studios,
+      tmdb_recommendations: tmdbData.recommendations,
+      ...nextEpisodeFields(tmdbData.next_episode),
       release_date: tmdbData.release_date,
       total_seasons: tmdbData.total_seasons || seriesData.total_seasons,
       total_episodes: tmdbData.total_episodes,
@@ -172,3 +230,36 @@ export async function enrichSeriesWithTMDB(seriesData) {
   
   return seriesData;
 }
+
+export async function enrichMovieWithTMDB(movieData) {
+  const tmdbData = movieData.tmdb_id
+    ? await fetchTMDBDetails(movieData.tmdb_id, 'movie')
+    : await fetchTMDBData(movieData.title, 'movie');
+  
+  if (!tmdbData) {
+    return { movie: movieData, collection: null };
+  }
+  
+  const collection = tmdbData.collection
+    ? (await fetchTMDBCollection(tmdbData.collection.tmdb_id)) || tmdbData.collection
+    : null;
+  
+  return {
+    movie: {
+      ...movieData,
+      tmdb_id: String(tmdbData.tmdb_id),
+      description: movieData.description || tmdbData.description,
+      rating: tmdbData.rating,
+      popularity: tmdbData.popularity,
+      genres: movieData.genres && movieData.genres.length > 0 ? movieData.genres : tmdbData.genres,
+      studios: tmdbData.studios,
+      tmdb_recommendations: tmdbData.recommendations,
+      runtime: movieData.runtime || tmdbData.runtime,
+      poster: movieData.poster || tmdbData.poster,
+      banner_image: movieData.banner_image || tmdbData.banner_image,
+      year: movieData.year || (tmdbData.release_date ? parseInt(tmdbData.release_date.split('-')[0]) : null),
+      collection_id: collection ? collection.tmdb_id : (movieData.collection_id || null),
+    },
+    collection,
+  };
+}
@@ -0,0 +1,129 @@
+import { toCard } from './catalog.js';
+
+// Weight of each signal in the trending score
+export const TRENDING_WEIGHTS = {
+  views: 1,
+  plays: 3,
+  favorites: 5,
+  comments: 2
+};
+
+// Days of rollup rows per window (day = today and yesterday, UTC); null reads the all-time totals
+export const TRENDING_WINDOWS = {
+  day: 2,
+  week: 7,
+  all: null
+};
+
+// Signals are counted in memory and written in batches, so a detail view
+// costs nothing extra and the rollup sees one RPC per title per flush.
+const pending = new Map();
+
+// Failed counts are retried on this many later flushes, then dropped, so a broken RPC
+// (e.g. not granted to the key in use) doesn't keep them forever
+const MAX_FLUSH_ATTEMPTS = 5;
+
+export function recordSignal(type, slug, signal, amount = 1) {
+  if (!slug || !(signal in TRENDING_WEIGHTS)) return;
+
+  const contentType = type === 'movie' ? 'movie' : 'series';
+  const key = `${contentType}:${slug}`;
+  if (!pending.has(key)) {
+    pending.set(key, { contentType, slug, views: 0, plays: 0, favorites: 0, comments: 0, attempts: 0 });
+  }
+  pending.get(key)[signal] += amount;
+}
+
+function utcDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+export async function flushSignals(supabase) {
+  if (pending.size === 0) return 0;
+
+  const batch = [...pending.values()];
+  pending.clear();
+  const day = utcDay(new Date());
+
+  let failed = 0;
+  let dropped = 0;
+  let lastError = null;
+  for (const entry of batch) {
+    const { error } = await supabase.rpc('increment_title_stats', {
+      p_content_type: entry.contentType,
+      p_slug: entry.slug,
+      p_day: day,
+      p_views: entry.views,
+      p_plays: entry.plays,
+      p_favorites: entry.favorites,
+      p_comments: entry.comments
+    });
+
+    if (error) {
+      failed++;
+      lastError = error;
+      if (entry.attempts + 1 >= MAX_FLUSH_ATTEMPTS) {
+        dropped++;
+        continue;
+      }
+      // Put the counts back so the next flush retries them
+      Object.keys(TRENDING_WEIGHTS).forEach(signal => {
+        if (entry[signal] > 0) recordSignal(entry.contentType, entry.slug, signal, entry[signal]);
+      });
+      const retry = pending.get(`${entry.contentType}:${entry.slug}`);
+      if (retry) retry.attempts = Math.max(retry.attempts, entry.attempts + 1);
+    }
+  }
+
+  if (failed > 0) {
+    const droppedNote = dropped > 0 ? `, dropped ${dropped} after ${MAX_FLUSH_ATTEMPTS} attempts` : '';
+    console.error(`Error flushing trending signals for ${failed} of ${batch.length} titles${droppedNote}:`, lastError);
+  }
+  return batch.length - failed;
+}
+
+export function startSignalFlusher(supabase, intervalMs) {
+  const timer = setInterval(() => {
+    flushSignals(supabase).catch(error => console.error('Error flushing trending signals:', error));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+// Ranked cards for a window; rows for titles no longer in the catalog are dropped
+export async function queryTrending(supabase, catalog, { window, limit }) {
+  const days = TRENDING_WINDOWS[window];
+  const since = days ? utcDay(new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000)) : null;
+
+  const { data, error } = await supabase.rpc('get_trending', {
+    p_since: since,
+    // Over-fetch a little to make up for rows whose title has been removed
+    p_limit: limit * 2,
+    p_view_weight: TRENDING_WEIGHTS.views,
+    p_play_weight: TRENDING_WEIGHTS.plays,
+    p_favorite_weight: TRENDING_WEIGHTS.favorites,
+    p_comment_weight: TRENDING_WEIGHTS.comments
+  });
+
+  if (error) throw error;
+
+  const rows = {
+    series: new Map(catalog.series.map(row => [row.slug, row])),
+    movie: new Map(catalog.movies.map(row => [row.slug, row]))
+  };
+
+  return (data || [])
+    .filter(stat => rows[stat.content_type] && rows[stat.content_type].has(stat.slug))
+    .slice(0, limit)
+    .map((stat, index) => ({
+      ...toCard(rows[stat.content_type].get(stat.slug), stat.content_type),
+      rank: index + 1,
+      score: Number(stat.score),
+      signals: {
+        views: Number(stat.views),
+        plays: Number(stat.plays),
+        favorites: Number(stat.favorites),
+        comments: Number(stat.comments)
+      }
+    }));
+}
@@ -0,0 +1,55 @@
+// Reads of per-user data shared by the REST routers and the GraphQL resolvers
+
+// user_data.watched holds the favorites list; older rows store it stringified or as a single object
+export function parseFavorites(watched) {
+  if (typeof watched === 'string') {
+    try {
+      watched = JSON.parse(watched);
+    } catch (e) {
+      console.error('Failed to parse watched as JSON:', e);
+      watched = null;
+    }
+  }
+
+  if (!watched) return [];
+  if (Array.isArray(watched)) return watched;
+  if (typeof watched === 'object') return [watched];
+  return [];
+}
+
+// Favorites for one user ([] when the user has no user_data row yet)
+export async function loadFavorites(supabase, email) {
+  const { data, error } = await supabase
+    .from('user_data')
+    .select('watched')
+    .eq('email', email);
+
+  if (error) throw error;
+  if (!data || data.length === 0) return [];
+  return parseFavorites(data[0]?.watched);
+}
+
+// watch_history stores most columns as { value } JSONB; unwrap them for clients
+export function formatWatchHistoryEntry(item) {
+  return {
+    ...item,
+    series_slug: item.series_slug?.value || item.series_slug,
+    movie_slug: item.movie_slug?.value || item.movie_slug,
+    episode_number: item.episode_number?.value || item.episode_number,
+    season_number: item.season_number?.value || item.season_number,
+    title: item.title?.value || item.title,
+    poster_image: item.poster_image?.value || item.poster_image,
+    movie_name: item.movie_name?.value || item.movie_name
+  };
+}
+
+export async function loadWatchHistory(supabase, email) {
+  const { data, error } = await supabase
+    .from('watch_history')
+    .select('*')
+    .eq('user_email', email)
+    .order('watched_at', { ascending: false });
+
+  if (error) throw error;
+  return (data || []).map(formatWatchHistoryEntry);
+}
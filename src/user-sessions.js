@@ -0,0 +1,132 @@
+import crypto from 'crypto';
+import { CONFIG } from './config.js';
+
+// Sign-in sessions, one row per device in user_sessions. The client keeps a random
+// token (the `loginToken` from signin/signup/refresh); only its sha256 is stored.
+
+// Columns that are safe to show the user; token_hash never leaves the server
+const SESSION_COLUMNS = 'id, user_agent, ip_address, created_at, last_seen_at, expires_at';
+
+export function hashSessionToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function newToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function expiresAt() {
+  return new Date(Date.now() + CONFIG.auth.sessionTtlMs).toISOString();
+}
+
+// Starts a session; returns the token to hand to the client and the stored row
+export async function createSession(supabase, email, { userAgent, ipAddress }) {
+  const token = newToken();
+  const now = new Date().toISOString();
+
+  const { data, error } = await supabase
+    .from('user_sessions')
+    .insert({
+      user_email: email.toLowerCase(),
+      token_hash: hashSessionToken(token),
+      user_agent: userAgent || null,
+      ip_address: ipAddress || null,
+      created_at: now,
+      last_seen_at: now,
+      expires_at: expiresAt()
+    })
+    .select(SESSION_COLUMNS)
+    .single();
+
+  if (error) throw error;
+  return { token, session: data };
+}
+
+// The session a token belongs to, or null when it's unknown, revoked or expired
+export async function findSession(supabase, token) {
+  const { data, error } = await supabase
+    .from('user_sessions')
+    .select('id, user_email, expires_at')
+    .eq('token_hash', hashSessionToken(token))
+    .is('revoked_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+export async function touchSession(supabase, id) {
+  const { error } = await supabase
+    .from('user_sessions')
+    .update({ last_seen_at: new Date().toISOString() })
+    .eq('id', id);
+
+  if (error) throw error;
+}
+
+// Replaces the session's token and extends its expiry; the old token stops working.
+// Null when the session was revoked in the meantime.
+export async function rotateSession(supabase, id, { userAgent, ipAddress }) {
+  const token = newToken();
+
+  const { data, error } = await supabase
+    .from('user_sessions')
+    .update({
+      token_hash: hashSessionToken(token),
+      user_agent: userAgent || null,
+      ip_address: ipAddress || null,
+      last_seen_at: new Date().toISOString(),
+      expires_at: expiresAt()
+    })
+    .eq('id', id)
+    .is('revoked_at', null)
+    .select(SESSION_COLUMNS)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data && { token, session: data };
+}
+
+// Active sessions, most recently used first
+export async function listSessions(supabase, email) {
+  const { data, error } = await supabase
+    .from('user_sessions')
+    .select(SESSION_COLUMNS)
+    .eq('user_email', email)
+    .is('revoked_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .order('last_seen_at', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
+
+// Revokes one of the user's sessions, or all of them when id is null.
+// Returns the revoked rows ({ id, token_hash }).
+export async function revokeSessions(supabase, email, id = null) {
+  let query = supabase
+    .from('user_sessions')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('user_email', email)
+    .is('revoked_at', null);
+
+  if (id) query = query.eq('id', id);
+
+  const { data, error } = await query.select('id, token_hash');
+  if (error) throw error;
+  return data || [];
+}
+
+// Revokes the session a token belongs to, whoever owns it (for /logout)
+export async function revokeSessionByToken(supabase, token) {
+  const { data, error } = await supabase
+    .from('user_sessions')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('token_hash', hashSessionToken(token))
+    .is('revoked_at', null)
+    .select('id, token_hash');
+
+  if (error) throw error;
+  return data || [];
+}
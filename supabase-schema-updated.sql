@@ -40,3 +40,513 @@ CREATE TRIGGER update_movies_updated_at
 COMMENT ON TABLE movies IS 'Stores anime movie metadata with banner images';
 COMMENT ON COLUMN series.banner_image IS 'Banner/backdrop image URL for series detail page';
 COMMENT ON COLUMN movies.banner_image IS 'Banner/backdrop image URL for movie detail page';
+
+-- Rating / popularity used for library sorting (written by the TMDB enrichment)
+ALTER TABLE series ADD COLUMN IF NOT EXISTS rating NUMERIC;
+ALTER TABLE series ADD COLUMN IF NOT EXISTS popularity NUMERIC;
+ALTER TABLE movies ADD COLUMN IF NOT EXISTS rating NUMERIC;
+ALTER TABLE movies ADD COLUMN IF NOT EXISTS popularity NUMERIC;
+
+CREATE INDEX IF NOT EXISTS idx_series_year ON series(year);
+CREATE INDEX IF NOT EXISTS idx_series_rating ON series(rating DESC);
+CREATE INDEX IF NOT EXISTS idx_series_popularity ON series(popularity DESC);
+CREATE INDEX IF NOT EXISTS idx_movies_year ON movies(year);
+CREATE INDEX IF NOT EXISTS idx_movies_rating ON movies(rating DESC);
+
+-- Collections (franchises) from TMDB belongs_to_collection; id is the TMDB collection id
+CREATE TABLE IF NOT EXISTS collections (
+  id BIGINT PRIMARY KEY,
+  slug TEXT UNIQUE NOT NULL,
+  name TEXT NOT NULL,
+  description TEXT,
+  poster TEXT,
+  banner_image TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Movies are linked by the collection sync; series can be linked manually
+ALTER TABLE movies ADD COLUMN IF NOT EXISTS collection_id BIGINT REFERENCES collections(id) ON DELETE SET NULL;
+ALTER TABLE series ADD COLUMN IF NOT EXISTS collection_id BIGINT REFERENCES collections(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_movies_collection ON movies(collection_id);
+CREATE INDEX IF NOT EXISTS idx_series_collection ON series(collection_id);
+CREATE INDEX IF NOT EXISTS idx_movies_created ON movies(created_at DESC);
+
+DROP TRIGGER IF EXISTS update_collections_updated_at ON collections;
+CREATE TRIGGER update_collections_updated_at
+  BEFORE UPDATE ON collections
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE collections IS 'Franchises grouping movies (and optionally series), from TMDB collections';
+
+-- Related titles. enrichSeriesWithTMDB already writes studios; declared here for fresh databases
+ALTER TABLE series ADD COLUMN IF NOT EXISTS studios TEXT[];
+ALTER TABLE movies ADD COLUMN IF NOT EXISTS studios TEXT[];
+
+-- TMDB ids from /recommendations, stored so /related never needs TMDB at request time
+ALTER TABLE series ADD COLUMN IF NOT EXISTS tmdb_recommendations TEXT[];
+ALTER TABLE movies ADD COLUMN IF NOT EXISTS tmdb_recommendations TEXT[];
+
+CREATE INDEX IF NOT EXISTS idx_series_tmdb_id ON series(tmdb_id);
+CREATE INDEX IF NOT EXISTS idx_movies_tmdb_id ON movies(tmdb_id);
+
+-- Trending: per-day rollup of our own traffic (detail views, plays from watch history,
+-- favorites, comments). The API server buffers signals and adds them through
+-- increment_title_stats, so rankings never scan watch_history.
+CREATE TABLE IF NOT EXISTS title_stats_daily (
+  content_type TEXT NOT NULL CHECK (content_type IN ('series', 'movie')),
+  slug TEXT NOT NULL,
+  day DATE NOT NULL,
+  views INTEGER NOT NULL DEFAULT 0,
+  plays INTEGER NOT NULL DEFAULT 0,
+  favorites INTEGER NOT NULL DEFAULT 0,
+  comments INTEGER NOT NULL DEFAULT 0,
+  PRIMARY KEY (content_type, slug, day)
+);
+
+CREATE INDEX IF NOT EXISTS idx_title_stats_daily_day ON title_stats_daily(day);
+
+-- All-time totals, kept alongside so the "all" window doesn't sum every day
+CREATE TABLE IF NOT EXISTS title_stats (
+  content_type TEXT NOT NULL CHECK (content_type IN ('series', 'movie')),
+  slug TEXT NOT NULL,
+  views BIGINT NOT NULL DEFAULT 0,
+  plays BIGINT NOT NULL DEFAULT 0,
+  favorites BIGINT NOT NULL DEFAULT 0,
+  comments BIGINT NOT NULL DEFAULT 0,
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (content_type, slug)
+);
+
+CREATE OR REPLACE FUNCTION increment_title_stats(
+  p_content_type TEXT,
+  p_slug TEXT,
+  p_day DATE,
+  p_views INTEGER,
+  p_plays INTEGER,
+  p_favorites INTEGER,
+  p_comments INTEGER
+)
+RETURNS VOID AS $$
+BEGIN
+  INSERT INTO title_stats_daily AS t (content_type, slug, day, views, plays, favorites, comments)
+  VALUES (p_content_type, p_slug, p_day, p_views, p_plays, p_favorites, p_comments)
+  ON CONFLICT (content_type, slug, day) DO UPDATE SET
+    views = t.views + EXCLUDED.views,
+    plays = t.plays + EXCLUDED.plays,
+    favorites = t.favorites + EXCLUDED.favorites,
+    comments = t.comments + EXCLUDED.comments;
+
+  INSERT INTO title_stats AS t (content_type, slug, views, plays, favorites, comments)
+  VALUES (p_content_type, p_slug, p_views, p_plays, p_favorites, p_comments)
+  ON CONFLICT (content_type, slug) DO UPDATE SET
+    views = t.views + EXCLUDED.views,
+    plays = t.plays + EXCLUDED.plays,
+    favorites = t.favorites + EXCLUDED.favorites,
+    comments = t.comments + EXCLUDED.comments,
+    updated_at = NOW();
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Only the API server (service role) may add to the counters
+REVOKE EXECUTE ON FUNCTION increment_title_stats(TEXT, TEXT, DATE, INTEGER, INTEGER, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+
+-- Ranked titles since p_since (NULL = all time), scored with the weights passed in
+CREATE OR REPLACE FUNCTION get_trending(
+  p_since DATE,
+  p_limit INTEGER,
+  p_view_weight NUMERIC,
+  p_play_weight NUMERIC,
+  p_favorite_weight NUMERIC,
+  p_comment_weight NUMERIC
+)
+RETURNS TABLE (content_type TEXT, slug TEXT, views BIGINT, plays BIGINT, favorites BIGINT, comments BIGINT, score NUMERIC) AS $$
+  SELECT s.content_type, s.slug, s.views, s.plays, s.favorites, s.comments,
+    s.views * p_view_weight + s.plays * p_play_weight + s.favorites * p_favorite_weight + s.comments * p_comment_weight AS score
+  FROM (
+    SELECT a.content_type, a.slug, a.views, a.plays, a.favorites, a.comments
+    FROM title_stats a
+    WHERE p_since IS NULL
+    UNION ALL
+    SELECT d.content_type, d.slug, SUM(d.views)::BIGINT, SUM(d.plays)::BIGINT, SUM(d.favorites)::BIGINT, SUM(d.comments)::BIGINT
+    FROM title_stats_daily d
+    WHERE p_since IS NOT NULL AND d.day >= p_since
+    GROUP BY d.content_type, d.slug
+  ) s
+  ORDER BY score DESC, s.slug
+  LIMIT p_limit;
+$$ LANGUAGE sql STABLE;
+
+COMMENT ON TABLE title_stats_daily IS 'Per-day traffic counters per title, used for trending rankings';
+COMMENT ON TABLE title_stats IS 'All-time traffic counters per title';
+
+-- Release schedule. latest_episodes is pruned to a handful of rows, so every first
+-- sighting is also copied into episode_releases, which keeps the full history.
+CREATE TABLE IF NOT EXISTS episode_releases (
+  id BIGSERIAL PRIMARY KEY,
+  series_slug TEXT NOT NULL REFERENCES series(slug) ON DELETE CASCADE,
+  season INTEGER NOT NULL,
+  episode INTEGER NOT NULL,
+  episode_title TEXT,
+  released_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE(series_slug, season, episode)
+);
+
+CREATE INDEX IF NOT EXISTS idx_episode_releases_released ON episode_releases(released_at DESC);
+CREATE INDEX IF NOT EXISTS idx_episode_releases_series ON episode_releases(series_slug, released_at DESC);
+
+CREATE OR REPLACE FUNCTION record_episode_release()
+RETURNS TRIGGER AS $$
+BEGIN
+  INSERT INTO episode_releases (series_slug, season, episode, episode_title, released_at)
+  VALUES (NEW.series_slug, NEW.season, NEW.episode, NEW.episode_title, COALESCE(NEW.added_at, NOW()))
+  ON CONFLICT (series_slug, season, episode) DO NOTHING;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS record_latest_episode_release ON latest_episodes;
+CREATE TRIGGER record_latest_episode_release
+  AFTER INSERT ON latest_episodes
+  FOR EACH ROW
+  EXECUTE FUNCTION record_episode_release();
+
+-- Seed from whatever is still in latest_episodes
+INSERT INTO episode_releases (series_slug, season, episode, episode_title, released_at)
+SELECT series_slug, season, episode, episode_title, added_at
+FROM latest_episodes
+ON CONFLICT (series_slug, season, episode) DO NOTHING;
+
+-- TMDB next_episode_to_air, refreshed by `npm run sync schedule`
+ALTER TABLE series ADD COLUMN IF NOT EXISTS next_episode_air_date DATE;
+ALTER TABLE series ADD COLUMN IF NOT EXISTS next_episode_season INTEGER;
+ALTER TABLE series ADD COLUMN IF NOT EXISTS next_episode_number INTEGER;
+ALTER TABLE series ADD COLUMN IF NOT EXISTS next_episode_title TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_series_next_episode ON series(next_episode_air_date);
+
+COMMENT ON TABLE episode_releases IS 'When each episode was first seen on the source site (never pruned)';
+
+-- Comments. One table for every comment and reply; `npm run sync comments` moves the
+-- old `coments` JSONB arrays on episodes/movies in here.
+-- location is `series:<slug>:<season>-<episode>` or `movie:<slug>` for title comments.
+CREATE TABLE IF NOT EXISTS comments (
+  id BIGSERIAL PRIMARY KEY,
+  user_email TEXT,
+  username TEXT,
+  first_name TEXT,
+  last_name TEXT,
+  content TEXT NOT NULL,
+  location TEXT NOT NULL,
+  series_slug TEXT,
+  movie_slug TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- JSONB comments only carried a username
+ALTER TABLE comments ALTER COLUMN user_email DROP NOT NULL;
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS edited BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ;
+-- id of the comment in the JSONB array it was migrated from, so the migration can be re-run
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS legacy_id TEXT;
+
+-- parent_id must match the type of comments.id, which differs between older projects
+DO $$
+DECLARE
+  id_type TEXT;
+BEGIN
+  SELECT format_type(atttypid, atttypmod) INTO id_type
+  FROM pg_attribute
+  WHERE attrelid = 'comments'::regclass AND attname = 'id';
+
+  EXECUTE format('ALTER TABLE comments ADD COLUMN IF NOT EXISTS parent_id %s REFERENCES comments(id) ON DELETE CASCADE', id_type);
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_comments_location ON comments(location, created_at);
+CREATE INDEX IF NOT EXISTS idx_comments_parent ON comments(parent_id);
+CREATE INDEX IF NOT EXISTS idx_comments_series ON comments(series_slug);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_comments_legacy ON comments(location, legacy_id);
+
+COMMENT ON COLUMN comments.parent_id IS 'Comment this one replies to (NULL for top-level comments)';
+
+-- Threaded comment lists: direct reply counts, kept up to date by a trigger, back
+-- the `top` sort and tell clients when to offer "load replies".
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS reply_count INTEGER NOT NULL DEFAULT 0;
+
+CREATE OR REPLACE FUNCTION update_comment_reply_count()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'INSERT' AND NEW.parent_id IS NOT NULL THEN
+    UPDATE comments SET reply_count = reply_count + 1 WHERE id = NEW.parent_id;
+  ELSIF TG_OP = 'DELETE' AND OLD.parent_id IS NOT NULL THEN
+    UPDATE comments SET reply_count = GREATEST(reply_count - 1, 0) WHERE id = OLD.parent_id;
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS update_comment_reply_count ON comments;
+CREATE TRIGGER update_comment_reply_count
+  AFTER INSERT OR DELETE ON comments
+  FOR EACH ROW
+  EXECUTE FUNCTION update_comment_reply_count();
+
+UPDATE comments c
+SET reply_count = (SELECT COUNT(*) FROM comments r WHERE r.parent_id = c.id)
+WHERE reply_count <> (SELECT COUNT(*) FROM comments r WHERE r.parent_id = c.id);
+
+-- Keyset pages: top-level comments per location, and replies per parent
+CREATE INDEX IF NOT EXISTS idx_comments_top_level ON comments(location, created_at DESC, id DESC) WHERE parent_id IS NULL;
+CREATE INDEX IF NOT EXISTS idx_comments_top_level_top ON comments(location, reply_count DESC, created_at DESC, id DESC) WHERE parent_id IS NULL;
+CREATE INDEX IF NOT EXISTS idx_comments_replies ON comments(parent_id, created_at, id);
+
+-- Comment reactions: one per account per comment (choosing another replaces it,
+-- choosing the same one again removes it). A trigger keeps per-reaction counts and
+-- a score (positive reactions minus dislikes) on the comment for the `top` sort.
+DO $$
+DECLARE
+  id_type TEXT;
+BEGIN
+  SELECT format_type(atttypid, atttypmod) INTO id_type
+  FROM pg_attribute
+  WHERE attrelid = 'comments'::regclass AND attname = 'id';
+
+  EXECUTE format($sql$
+    CREATE TABLE IF NOT EXISTS comment_reactions (
+      comment_id %s NOT NULL REFERENCES comments(id) ON DELETE CASCADE,
+      user_email TEXT NOT NULL,
+      reaction TEXT NOT NULL CHECK (reaction IN ('like', 'dislike', 'love', 'laugh', 'wow', 'sad')),
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (comment_id, user_email)
+    )$sql$, id_type);
+END $$;
+
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS reactions JSONB NOT NULL DEFAULT '{}'::jsonb;
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS score INTEGER NOT NULL DEFAULT 0;
+
+-- anyelement because comments.id is BIGINT in some projects and UUID in others
+CREATE OR REPLACE FUNCTION refresh_comment_reaction_counts(p_comment_id anyelement)
+RETURNS VOID AS $$
+BEGIN
+  UPDATE comments c
+  SET
+    reactions = COALESCE((
+      SELECT jsonb_object_agg(counts.reaction, counts.total)
+      FROM (
+        SELECT r.reaction, COUNT(*) AS total
+        FROM comment_reactions r
+        WHERE r.comment_id = p_comment_id
+        GROUP BY r.reaction
+      ) counts
+    ), '{}'::jsonb),
+    score = (
+      SELECT COALESCE(SUM(CASE r.reaction WHEN 'dislike' THEN -1 WHEN 'like' THEN 1 WHEN 'love' THEN 1 WHEN 'laugh' THEN 1 ELSE 0 END), 0)
+      FROM comment_reactions r
+      WHERE r.comment_id = p_comment_id
+    )
+  WHERE c.id = p_comment_id;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION update_comment_reaction_counts()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP IN ('UPDATE', 'DELETE') THEN
+    PERFORM refresh_comment_reaction_counts(OLD.comment_id);
+  END IF;
+  IF TG_OP IN ('INSERT', 'UPDATE') THEN
+    PERFORM refresh_comment_reaction_counts(NEW.comment_id);
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS update_comment_reaction_counts ON comment_reactions;
+CREATE TRIGGER update_comment_reaction_counts
+  AFTER INSERT OR UPDATE OR DELETE ON comment_reactions
+  FOR EACH ROW
+  EXECUTE FUNCTION update_comment_reaction_counts();
+
+DROP INDEX IF EXISTS idx_comments_top_level_top;
+CREATE INDEX IF NOT EXISTS idx_comments_top_level_score ON comments(location, score DESC, reply_count DESC, created_at DESC, id DESC) WHERE parent_id IS NULL;
+CREATE INDEX IF NOT EXISTS idx_comment_reactions_user ON comment_reactions(user_email);
+
+-- Spoilers: a whole-comment flag, plus the furthest episode the comment may reveal
+-- (the episode it was posted on, or further if the commenter's watch history shows
+-- they had seen more). Readers who haven't reached that episode get it blurred.
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS is_spoiler BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS spoiler_season INTEGER;
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS spoiler_episode INTEGER;
+
+-- Migrated and older comments: at least the episode they were posted on
+UPDATE comments
+SET
+  spoiler_season = (regexp_match(location, '^series:.+:(\d+)-(\d+)$'))[1]::INTEGER,
+  spoiler_episode = (regexp_match(location, '^series:.+:(\d+)-(\d+)$'))[2]::INTEGER
+WHERE spoiler_season IS NULL AND location ~ '^series:.+:\d+-\d+$';
+
+-- Moderation: comments caught by the content filter start as 'pending', enough reports
+-- make a visible comment 'hidden', and shadow-banned accounts post 'shadow' comments
+-- that only they can see. Lists only return 'visible' comments to everyone else.
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'visible'
+  CHECK (status IN ('visible', 'pending', 'hidden', 'shadow'));
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS report_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS moderation_flags TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS moderation_reason TEXT;
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMPTZ;
+
+-- One report per account per comment
+DO $$
+DECLARE
+  id_type TEXT;
+BEGIN
+  SELECT format_type(atttypid, atttypmod) INTO id_type
+  FROM pg_attribute
+  WHERE attrelid = 'comments'::regclass AND attname = 'id';
+
+  EXECUTE format($sql$
+    CREATE TABLE IF NOT EXISTS comment_reports (
+      comment_id %s NOT NULL REFERENCES comments(id) ON DELETE CASCADE,
+      reporter_email TEXT NOT NULL,
+      reason TEXT,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (comment_id, reporter_email)
+    )$sql$, id_type);
+END $$;
+
+CREATE TABLE IF NOT EXISTS comment_bans (
+  user_email TEXT PRIMARY KEY,
+  reason TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_comments_moderation_queue ON comments(status, report_count DESC, created_at) WHERE status IN ('pending', 'hidden');
+CREATE INDEX IF NOT EXISTS idx_comments_user_status ON comments(user_email, status);
+
+-- Edit history: a trigger saves the previous text whenever a comment's content changes
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS edit_count INTEGER NOT NULL DEFAULT 0;
+-- Usernames (from users.username) mentioned as @username in the current text
+ALTER TABLE comments ADD COLUMN IF NOT EXISTS mentions TEXT[] NOT NULL DEFAULT '{}';
+
+DO $$
+DECLARE
+  id_type TEXT;
+BEGIN
+  SELECT format_type(atttypid, atttypmod) INTO id_type
+  FROM pg_attribute
+  WHERE attrelid = 'comments'::regclass AND attname = 'id';
+
+  EXECUTE format($sql$
+    CREATE TABLE IF NOT EXISTS comment_edits (
+      id BIGSERIAL PRIMARY KEY,
+      comment_id %s NOT NULL REFERENCES comments(id) ON DELETE CASCADE,
+      content TEXT NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )$sql$, id_type);
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_comment_edits_comment ON comment_edits(comment_id, created_at);
+
+-- comment_edits.created_at is when that text was replaced
+CREATE OR REPLACE FUNCTION record_comment_edit()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF NEW.content IS DISTINCT FROM OLD.content THEN
+    INSERT INTO comment_edits (comment_id, content) VALUES (OLD.id, OLD.content);
+    NEW.edit_count := OLD.edit_count + 1;
+    NEW.edited := TRUE;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS record_comment_edit ON comments;
+CREATE TRIGGER record_comment_edit
+  BEFORE UPDATE OF content ON comments
+  FOR EACH ROW
+  EXECUTE FUNCTION record_comment_edit();
+
+-- In-app notifications: `mention` when a comment mentions the user, `reply` when
+-- someone replies to their comment
+DO $$
+DECLARE
+  id_type TEXT;
+BEGIN
+  SELECT format_type(atttypid, atttypmod) INTO id_type
+  FROM pg_attribute
+  WHERE attrelid = 'comments'::regclass AND attname = 'id';
+
+  EXECUTE format($sql$
+    CREATE TABLE IF NOT EXISTS notifications (
+      id BIGSERIAL PRIMARY KEY,
+      user_email TEXT NOT NULL,
+      type TEXT NOT NULL CHECK (type IN ('mention', 'reply')),
+      comment_id %s REFERENCES comments(id) ON DELETE CASCADE,
+      location TEXT,
+      actor_username TEXT,
+      excerpt TEXT,
+      read_at TIMESTAMPTZ,
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )$sql$, id_type);
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_email, id DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_unread ON notifications(user_email) WHERE read_at IS NULL;
+
+-- Passwords are only kept by Supabase Auth. users.password_hash is no longer written;
+-- allow NULL so `npm run sync passwords` can clear what older versions stored there.
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = 'users' AND column_name = 'password_hash'
+  ) THEN
+    ALTER TABLE users ALTER COLUMN password_hash DROP NOT NULL;
+  END IF;
+END $$;
+
+-- Sign-in sessions, one per device (src/user-sessions.js). token_hash is the sha256 of
+-- the loginToken given to the client; revoked and expired rows no longer authenticate.
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_email TEXT NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE,
+  user_agent TEXT,
+  ip_address TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  revoked_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_active ON user_sessions(user_email, last_seen_at DESC) WHERE revoked_at IS NULL;
+
+-- Session rows are credentials: no policies, so only the service role (which bypasses RLS) can read or write them
+ALTER TABLE user_sessions ENABLE ROW LEVEL SECURITY;
+
+-- users.login_token is no longer accepted as a Bearer token (loginTokens live in user_sessions)
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = 'public' AND table_name = 'users' AND column_name = 'login_token'
+  ) THEN
+    UPDATE users SET login_token = NULL WHERE login_token IS NOT NULL;
+  END IF;
+END $$;
+
+-- Bans, reports, edit history, reactions and notifications hold emails and moderation data.
+-- Like user_sessions they have no policies: only the service role (which bypasses RLS)
+-- can read or write them, and the public anon key gets nothing.
+ALTER TABLE comment_bans ENABLE ROW LEVEL SECURITY;
+ALTER TABLE comment_reports ENABLE ROW LEVEL SECURITY;
+ALTER TABLE comment_edits ENABLE ROW LEVEL SECURITY;
+ALTER TABLE comment_reactions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE notifications ENABLE ROW LEVEL SECURITY;
+REVOKE ALL ON comment_bans, comment_reports, comment_edits, comment_reactions, notifications, user_sessions FROM anon, authenticated;
+
+-- Set by "sign out everywhere" (DELETE /api/auth/sessions): Supabase access tokens issued
+-- at or before it are rejected, even when they are verified locally with the JWT secret
+ALTER TABLE users ADD COLUMN IF NOT EXISTS tokens_revoked_at TIMESTAMPTZ;
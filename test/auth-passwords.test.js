@@ -0,0 +1,148 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+
+// Passwords belong to Supabase Auth only: no auth route may write one to our tables.
+
+process.env.SUPABASE_URL ||= 'http://127.0.0.1:54321';
+process.env.SUPABASE_SERVICE_ROLE_KEY ||= 'test-service-key';
+process.env.SMTP_HOST ||= '127.0.0.1';
+process.env.SMTP_PORT ||= '9';
+
+const { default: authRoutes, setAuthClient } = await import('../src/routes/auth.js');
+
+const EMAIL = 'viewer@example.com';
+const PASSWORD = 'correct horse battery staple';
+
+// A Supabase client that records every table write and answers selects from `rows`.
+// With updatesMatchNothing, updates return no rows as if no row matched.
+function stubSupabase(rows = {}, { updatesMatchNothing = false } = {}) {
+  const writes = [];
+  const authCalls = [];
+
+  const from = table => {
+    const state = { table, op: 'select', payload: null };
+    const result = single => {
+      let data = [].concat(state.payload).map(row => ({ id: `${table}-1`, ...row }));
+      if (state.op === 'select') data = rows[table] || [];
+      if (state.op === 'update' && updatesMatchNothing) data = [];
+      return { data: single ? (data[0] ?? null) : data, error: null };
+    };
+    const write = op => payload => {
+      Object.assign(state, { op, payload });
+      writes.push(state);
+      return builder;
+    };
+    const builder = new Proxy({}, {
+      get(_, prop) {
+        if (prop === 'insert' || prop === 'upsert' || prop === 'update') return write(prop);
+        if (prop === 'single' || prop === 'maybeSingle') return async () => result(true);
+        if (prop === 'then') return (resolve, reject) => Promise.resolve(result(false)).then(resolve, reject);
+        return () => builder;
+      }
+    });
+    return builder;
+  };
+
+  const authUser = { id: 'auth-1', email: EMAIL, user_metadata: {} };
+  const auth = {
+    admin: {
+      async createUser(attrs) {
+        authCalls.push(['createUser', attrs]);
+        return { data: { user: authUser }, error: null };
+      },
+      async listUsers() {
+        return { data: { users: [authUser] }, error: null };
+      },
+      async updateUserById(id, attrs) {
+        authCalls.push(['updateUserById', attrs]);
+        return { data: { user: authUser }, error: null };
+      }
+    },
+    async signInWithPassword(credentials) {
+      authCalls.push(['signInWithPassword', credentials]);
+      return { data: { user: authUser, session: { access_token: 'access' } }, error: null };
+    }
+  };
+
+  return { client: { from, auth }, writes, authCalls };
+}
+
+function assertNoPassword(writes) {
+  assert.ok(writes.length > 0, 'expected the route to write to the database');
+  for (const { table, payload } of writes) {
+    for (const row of [].concat(payload)) {
+      assert.ok(!('password' in row) && !('password_hash' in row), `${table} write has a password column`);
+      assert.ok(!JSON.stringify(row).includes(PASSWORD), `${table} write contains the request password`);
+    }
+  }
+}
+
+let server;
+let baseUrl;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/auth`;
+});
+
+after(() => server.close());
+
+async function post(path, body) {
+  const res = await fetch(`${baseUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+test('signup passes the password to Supabase Auth and never to our tables', async () => {
+  const stub = stubSupabase();
+  setAuthClient(stub.client);
+
+  const res = await post('/signup', { email: EMAIL, password: PASSWORD, firstName: 'ann', lastName: 'lee', username: 'ann' });
+
+  assert.equal(res.status, 200);
+  assert.equal(stub.authCalls.find(([name]) => name === 'createUser')[1].password, PASSWORD);
+  assertNoPassword(stub.writes);
+});
+
+test('signin does not write the password when updating the profile', async () => {
+  const stub = stubSupabase({ users: [{ id: 'auth-1', email: EMAIL }] });
+  setAuthClient(stub.client);
+
+  const res = await post('/signin', { emailOrUsername: EMAIL, password: PASSWORD });
+
+  assert.equal(res.status, 200);
+  assert.ok(stub.writes.some(({ table, op }) => table === 'users' && op === 'update'));
+  assertNoPassword(stub.writes);
+});
+
+test('signin does not write the password when it recreates a missing profile', async () => {
+  // The profile update matches no row, so the route falls back to an upsert
+  const stub = stubSupabase({}, { updatesMatchNothing: true });
+  setAuthClient(stub.client);
+
+  const res = await post('/signin', { emailOrUsername: EMAIL, password: PASSWORD });
+
+  assert.equal(res.status, 200);
+  assert.ok(stub.writes.some(({ table, op }) => table === 'users' && op === 'upsert'));
+  assertNoPassword(stub.writes);
+});
+
+test('reset-password updates Supabase Auth and only clears the OTP in our tables', async () => {
+  const otpExpires = new Date(Date.now() + 60000).toISOString();
+  const stub = stubSupabase({ users: [{ email: EMAIL, otp_code: '123456', otp_expires: otpExpires }] });
+  setAuthClient(stub.client);
+
+  const res = await post('/reset-password', { email: EMAIL, otp: '123456', newPassword: PASSWORD });
+
+  assert.equal(res.status, 200);
+  assert.equal(stub.authCalls.find(([name]) => name === 'updateUserById')[1].password, PASSWORD);
+  assertNoPassword(stub.writes);
+});
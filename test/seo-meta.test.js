@@ -0,0 +1,77 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+
+process.env.SUPABASE_URL ||= 'http://127.0.0.1:54321';
+process.env.SUPABASE_ANON_KEY ||= 'test-anon-key';
+process.env.SITE_URL ||= 'https://site.example';
+process.env.CACHE_ENABLED = 'false';
+
+const { default: seoRoutes, setSeoClient } = await import('../src/routes/seo.js');
+
+// A read-only Supabase client over `rows`: eq filters, range, single/maybeSingle
+function stubSupabase(rows) {
+  const from = table => {
+    const filters = [];
+    let range = null;
+    const result = single => {
+      let data = (rows[table] || []).filter(row => filters.every(([column, value]) => String(row[column]) === String(value)));
+      if (range) data = data.slice(range[0], range[1] + 1);
+      if (single) return data.length === 1 ? { data: data[0], error: null } : { data: null, error: { code: 'PGRST116' } };
+      return { data, error: null };
+    };
+    const builder = new Proxy({}, {
+      get(_, prop) {
+        if (prop === 'eq') return (column, value) => { filters.push([column, value]); return builder; };
+        if (prop === 'range') return (start, end) => { range = [start, end]; return builder; };
+        if (prop === 'single' || prop === 'maybeSingle') return async () => result(true);
+        if (prop === 'then') return (resolve, reject) => Promise.resolve(result(false)).then(resolve, reject);
+        return () => builder;
+      }
+    });
+    return builder;
+  };
+  return { from };
+}
+
+let server;
+let baseUrl;
+
+before(async () => {
+  setSeoClient(stubSupabase({
+    series: [{ id: 1, slug: 'naruto', title: 'Naruto', description: 'Ninjas.' }],
+    movies: [],
+    episodes: [
+      { id: 1, series_slug: 'naruto', season: 1, episode: 5, episode_title: 'The Bell Test' },
+      { id: 2, series_slug: 'naruto', season: 1, episode: 6, episode_title: null }
+    ]
+  }));
+
+  const app = express();
+  app.use(seoRoutes);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+async function meta(path) {
+  const res = await fetch(`${baseUrl}/api/meta?path=${encodeURIComponent(path)}`);
+  return { status: res.status, body: await res.json() };
+}
+
+test('episode meta titles include the episode title', async () => {
+  const res = await meta('/series/naruto/episode/1-5');
+
+  assert.equal(res.status, 200);
+  assert.match(res.body.title, /^Naruto S1E5 - The Bell Test - /);
+  assert.ok(res.body.tags.some(tag => tag.property === 'og:title' && tag.content === res.body.title));
+});
+
+test('episode meta titles without an episode title stop at the episode code', async () => {
+  const res = await meta('/series/naruto/episode/1-6');
+
+  assert.equal(res.status, 200);
+  assert.match(res.body.title, /^Naruto S1E6 - [^-]+$/);
+});